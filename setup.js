@@ -5,11 +5,13 @@
  * 
  * This script helps users set up the GitHub MCP Server with OAuth2 authentication.
  * It guides through the process of creating a GitHub OAuth app and configuring the environment.
+ * Run with --device-login to only sign in with a GitHub device code (no browser needed).
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, chmodSync } from 'fs';
 import { execSync } from 'child_process';
 import { createInterface } from 'readline';
+import { resolve } from 'path';
 
 const rl = createInterface({
     input: process.stdin,
@@ -80,9 +82,24 @@ function installDependencies() {
     }
 }
 
-async function setupEnvironment() {
-    log('\n=== GitHub OAuth2 Configuration ===', 'info');
+async function chooseAuthMode() {
+    console.log(`
+Which kind of GitHub app should the server authenticate with?
+
+1. OAuth App  - simplest setup, long-lived user tokens
+2. GitHub App - fine-grained permissions, expiring user tokens and installation tokens
+`);
     
+    const choice = (await question('Enter 1 or 2 (default: 1): ')).trim() || '1';
+    if (choice !== '1' && choice !== '2') {
+        log('Please enter 1 or 2.', 'error');
+        process.exit(1);
+    }
+    
+    return choice === '2' ? 'github-app' : 'oauth-app';
+}
+
+async function setupOAuthApp(port) {
     console.log(`
 Before continuing, you need to create a GitHub OAuth App:
 
@@ -90,14 +107,67 @@ Before continuing, you need to create a GitHub OAuth App:
 2. Click "New OAuth App"
 3. Fill in the details:
    - Application name: GitHub MCP Server
-   - Homepage URL: http://localhost:3000
-   - Authorization callback URL: http://localhost:3000/auth/callback
+   - Homepage URL: http://localhost:${port}
+   - Authorization callback URL: http://localhost:${port}/auth/callback
 4. Save and copy the Client ID and Client Secret
 
 Press Enter when ready to continue...`);
     
     await question('');
     
+    const { clientId, clientSecret } = await askClientCredentials();
+    
+    return `# GitHub OAuth2 Configuration
+GITHUB_AUTH_MODE=oauth-app
+GITHUB_CLIENT_ID=${clientId}
+GITHUB_CLIENT_SECRET=${clientSecret}
+`;
+}
+
+async function setupGitHubApp(port) {
+    console.log(`
+Before continuing, you need to create a GitHub App:
+
+1. Go to https://github.com/settings/apps (or your organization's settings)
+2. Click "New GitHub App"
+3. Fill in the details:
+   - GitHub App name: GitHub MCP Server
+   - Homepage URL: http://localhost:${port}
+   - Callback URL: http://localhost:${port}/auth/callback
+   - Keep "Expire user authorization tokens" checked
+4. Choose the repository and organization permissions your agents need
+5. Save, then copy the App ID and Client ID and generate a Client Secret
+6. Generate a private key and save the downloaded .pem file
+7. Install the app on the accounts or repositories it should access
+
+Press Enter when ready to continue...`);
+    
+    await question('');
+    
+    const appId = await question('Enter your GitHub App ID: ');
+    if (!appId.trim()) {
+        log('App ID is required.', 'error');
+        process.exit(1);
+    }
+    
+    const { clientId, clientSecret } = await askClientCredentials();
+    
+    const privateKeyPath = await question('Enter the path to your GitHub App private key (.pem): ');
+    if (!privateKeyPath.trim() || !existsSync(privateKeyPath.trim())) {
+        log('A readable private key file is required.', 'error');
+        process.exit(1);
+    }
+    
+    return `# GitHub App Configuration
+GITHUB_AUTH_MODE=github-app
+GITHUB_APP_ID=${appId.trim()}
+GITHUB_APP_PRIVATE_KEY_PATH=${resolve(privateKeyPath.trim())}
+GITHUB_CLIENT_ID=${clientId}
+GITHUB_CLIENT_SECRET=${clientSecret}
+`;
+}
+
+async function askClientCredentials() {
     const clientId = await question('Enter your GitHub Client ID: ');
     if (!clientId.trim()) {
         log('Client ID is required.', 'error');
@@ -110,13 +180,21 @@ Press Enter when ready to continue...`);
         process.exit(1);
     }
     
+    return { clientId, clientSecret };
+}
+
+async function setupEnvironment() {
+    log('\n=== GitHub Authentication Configuration ===', 'info');
+    
     const port = await question('Enter port number (default: 3000): ') || '3000';
+    const authMode = await chooseAuthMode();
+    
+    const authConfig = authMode === 'github-app'
+        ? await setupGitHubApp(port)
+        : await setupOAuthApp(port);
     
     // Create .env file
-    const envContent = `# GitHub OAuth2 Configuration
-GITHUB_CLIENT_ID=${clientId}
-GITHUB_CLIENT_SECRET=${clientSecret}
-
+    const envContent = `${authConfig}
 # Server Configuration
 PORT=${port}
 REDIRECT_URI=http://localhost:${port}/auth/callback
@@ -134,6 +212,142 @@ NODE_ENV=development
     }
 }
 
+function readEnvFile(path) {
+    const values = {};
+    if (!existsSync(path)) return values;
+    
+    for (const line of readFileSync(path, 'utf8').split('\n')) {
+        const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*)\s*$/);
+        if (match) values[match[1]] = match[2].replace(/^["']|["']$/g, '');
+    }
+    
+    return values;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function postGitHubForm(url, params) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams(params)
+    });
+    return response.json();
+}
+
+// OAuth device flow: the user enters a code on github.com from any other device.
+// Resolves to the token response (access_token, plus refresh_token and expires_in for
+// GitHub App user tokens).
+async function deviceFlowLogin(clientId, scopes) {
+    const codeResult = await postGitHubForm('https://github.com/login/device/code', {
+        client_id: clientId,
+        scope: scopes
+    });
+    
+    if (!codeResult.device_code) {
+        throw new Error(codeResult.error_description || codeResult.error || 'Could not start device flow. Is "Enable Device Flow" checked in your app settings?');
+    }
+    
+    console.log(`
+Open ${codeResult.verification_uri} on any device and enter this code:
+
+    ${codeResult.user_code}
+`);
+    log('Waiting for authorization...', 'info');
+    
+    let interval = codeResult.interval || 5;
+    const deadline = Date.now() + codeResult.expires_in * 1000;
+    
+    while (Date.now() < deadline) {
+        await sleep(interval * 1000);
+        
+        const result = await postGitHubForm('https://github.com/login/oauth/access_token', {
+            client_id: clientId,
+            device_code: codeResult.device_code,
+            grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+        });
+        
+        if (result.access_token) {
+            return result;
+        }
+        
+        switch (result.error) {
+            case 'authorization_pending':
+                break;
+            case 'slow_down':
+                interval = result.interval || interval + 5;
+                break;
+            case 'expired_token':
+                throw new Error('The device code expired. Run the login again.');
+            case 'access_denied':
+                throw new Error('Authorization was denied.');
+            default:
+                throw new Error(result.error_description || result.error || 'Device flow failed.');
+        }
+    }
+    
+    throw new Error('The device code expired. Run the login again.');
+}
+
+// Add the stdio MCP server in github-oauth-server to claude_desktop_config.json,
+// keeping any other servers already configured there
+function saveDeviceToken(tokenResult) {
+    const configPath = 'claude_desktop_config.json';
+    let config = {};
+    if (existsSync(configPath)) {
+        try {
+            config = JSON.parse(readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`${configPath} is not valid JSON (${error.message}); fix or remove it and run the login again.`);
+        }
+    }
+    
+    const env = readEnvFile('web-ui/.env');
+    config.mcpServers = {
+        ...config.mcpServers,
+        'github-oauth': {
+            command: 'node',
+            args: [resolve('github-oauth-server/build/index.js')],
+            env: {
+                GITHUB_CLIENT_ID: env.GITHUB_CLIENT_ID || '',
+                GITHUB_ACCESS_TOKEN: tokenResult.access_token
+            }
+        }
+    };
+    
+    writeFileSync(configPath, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+    chmodSync(configPath, 0o600);
+    log(`MCP configuration saved to ${configPath}`, 'success');
+    
+    // The stdio server can't use a refresh token, so GitHub App user tokens simply run out
+    if (tokenResult.expires_in) {
+        const hours = Math.round(tokenResult.expires_in / 3600);
+        log(`This token expires in about ${hours} hours and the stdio MCP server cannot refresh it. Run \`npm run device-login\` again when it does, or use an MCP API key from the web UI instead.`, 'warning');
+    }
+}
+
+async function runDeviceLogin() {
+    log('\n=== Device Code Login ===', 'info');
+    
+    const env = readEnvFile('web-ui/.env');
+    const clientId = env.GITHUB_CLIENT_ID || (await question('Enter your GitHub Client ID: ')).trim();
+    if (!clientId) {
+        log('Client ID is required.', 'error');
+        process.exit(1);
+    }
+    
+    const scopes = (await question('Enter scopes (default: repo,user): ')).trim() || 'repo,user';
+    const tokenResult = await deviceFlowLogin(clientId, scopes);
+    log('Authorized with GitHub.', 'success');
+    
+    saveDeviceToken(tokenResult);
+}
+
 function displayNextSteps() {
     log('\n=== Setup Complete! ===', 'success');
     
@@ -169,11 +383,21 @@ async function main() {
         log('Checking Node.js version...', 'info');
         checkNodeVersion();
         
+        if (process.argv.includes('--device-login')) {
+            await runDeviceLogin();
+            return;
+        }
+        
         log('Installing dependencies...', 'info');
         installDependencies();
         
         await setupEnvironment();
         
+        const deviceLogin = (await question('Sign in now with a GitHub device code, e.g. on a machine without a browser? (y/N): ')).trim().toLowerCase();
+        if (deviceLogin === 'y' || deviceLogin === 'yes') {
+            await runDeviceLogin();
+        }
+        
         displayNextSteps();
         
     } catch (error) {
@@ -1,7 +1,6 @@
 // GitHub OAuth2 Web UI Application
 class GitHubOAuthApp {
     constructor() {
-        this.accessToken = null;
         this.user = null;
         this.init();
     }
@@ -9,7 +8,8 @@ class GitHubOAuthApp {
     init() {
         this.setupEventListeners();
         this.checkURLParams();
-        this.loadStoredAuth();
+        this.clearLegacyStoredAuth();
+        this.loadSession();
     }
 
     setupEventListeners() {
@@ -18,6 +18,11 @@ class GitHubOAuthApp {
             this.startOAuthFlow();
         });
 
+        // Device flow login button
+        document.getElementById('device-login-btn').addEventListener('click', () => {
+            this.startDeviceFlow();
+        });
+
         // Disconnect button
         document.getElementById('disconnect-btn').addEventListener('click', () => {
             this.disconnect();
@@ -25,7 +30,7 @@ class GitHubOAuthApp {
 
         // Copy token button
         document.getElementById('copy-token-btn').addEventListener('click', () => {
-            this.copyToClipboard(this.accessToken, 'Access token copied to clipboard!');
+            this.copyAccessToken();
         });
 
         // API test button
@@ -39,6 +44,11 @@ class GitHubOAuthApp {
             this.copyToClipboard(config, 'Configuration copied to clipboard!');
         });
 
+        // Create API key button
+        document.getElementById('create-api-key-btn').addEventListener('click', () => {
+            this.createApiKey();
+        });
+
         // API endpoint input - Enter key
         document.getElementById('api-endpoint').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -50,23 +60,10 @@ class GitHubOAuthApp {
     checkURLParams() {
         const urlParams = new URLSearchParams(window.location.search);
         
-        // Check for OAuth2 success
+        // Check for OAuth2 success; the session itself is loaded from the server
         if (urlParams.get('success') === 'true') {
-            const accessToken = urlParams.get('access_token');
-            const userStr = urlParams.get('user');
-            const scope = urlParams.get('scope');
-            
-            if (accessToken && userStr) {
-                try {
-                    const user = JSON.parse(userStr);
-                    this.handleAuthSuccess(accessToken, user, scope);
-                    // Clean URL
-                    window.history.replaceState({}, document.title, '/');
-                } catch (error) {
-                    console.error('Error parsing user data:', error);
-                    this.showError('Error processing authentication data');
-                }
-            }
+            // Clean URL
+            window.history.replaceState({}, document.title, '/');
         }
 
         // Check for OAuth2 error
@@ -78,20 +75,19 @@ class GitHubOAuthApp {
         }
     }
 
-    loadStoredAuth() {
-        const storedToken = localStorage.getItem('github_access_token');
-        const storedUser = localStorage.getItem('github_user');
-        
-        if (storedToken && storedUser) {
-            try {
-                const user = JSON.parse(storedUser);
-                this.handleAuthSuccess(storedToken, user);
-                // Load MCP tools if user is already authenticated
-                setTimeout(() => window.loadMCPTools(), 1000);
-            } catch (error) {
-                console.error('Error loading stored auth:', error);
-                this.clearStoredAuth();
+    async loadSession() {
+        try {
+            const response = await fetch('/api/auth/status');
+            const data = await response.json();
+            
+            if (data.authenticated) {
+                // Installation keys are only available when the server runs as a GitHub App
+                document.getElementById('api-key-installation').style.display =
+                    data.auth_mode === 'github-app' ? '' : 'none';
+                this.handleAuthSuccess(data.user, data.scope);
             }
+        } catch (error) {
+            console.error('Error loading session:', error);
         }
     }
 
@@ -109,14 +105,83 @@ class GitHubOAuthApp {
             console.error('Health check failed:', error);
         }
         
-        const scopesSelect = document.getElementById('scopes');
-        const selectedScopes = Array.from(scopesSelect.selectedOptions).map(option => option.value);
-        const scopes = selectedScopes.length > 0 ? selectedScopes.join(',') : 'repo,user';
+        const scopes = this.getSelectedScopes();
         
         // Redirect to OAuth2 endpoint
         window.location.href = `/auth/github?scopes=${encodeURIComponent(scopes)}`;
     }
 
+    getSelectedScopes() {
+        const scopesSelect = document.getElementById('scopes');
+        const selectedScopes = Array.from(scopesSelect.selectedOptions).map(option => option.value);
+        return selectedScopes.length > 0 ? selectedScopes.join(',') : 'repo,user';
+    }
+
+    async startDeviceFlow() {
+        const panel = document.getElementById('device-login-panel');
+        const status = document.getElementById('device-login-status');
+        
+        try {
+            const response = await fetch('/auth/device', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ scopes: this.getSelectedScopes() })
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                this.showError(data.error || 'Failed to start device flow');
+                return;
+            }
+            
+            const link = document.getElementById('device-verification-link');
+            link.href = data.verification_uri;
+            link.textContent = data.verification_uri.replace(/^https?:\/\//, '');
+            document.getElementById('device-user-code').textContent = data.user_code;
+            status.textContent = 'Waiting for authorization...';
+            panel.style.display = 'block';
+            
+            this.pollDeviceFlow(data.interval);
+        } catch (error) {
+            console.error('Device flow error:', error);
+            this.showError('Failed to start device flow');
+        }
+    }
+
+    pollDeviceFlow(interval) {
+        const status = document.getElementById('device-login-status');
+        
+        setTimeout(async () => {
+            try {
+                const response = await fetch('/auth/device/poll', { method: 'POST' });
+                const data = await response.json();
+                
+                switch (data.status) {
+                    case 'pending':
+                        this.pollDeviceFlow(data.interval || interval);
+                        break;
+                    case 'complete':
+                        document.getElementById('device-login-panel').style.display = 'none';
+                        this.loadSession();
+                        break;
+                    case 'denied':
+                        status.textContent = 'Authorization was denied.';
+                        break;
+                    case 'expired':
+                        status.textContent = 'The code expired. Start again to get a new one.';
+                        break;
+                    default:
+                        status.textContent = data.error || 'Device flow failed.';
+                }
+            } catch (error) {
+                console.error('Device flow poll error:', error);
+                this.pollDeviceFlow(interval);
+            }
+        }, interval * 1000);
+    }
+
     showSetupInstructions() {
         const authCard = document.querySelector('.auth-card');
         authCard.innerHTML = `
@@ -165,19 +230,13 @@ REDIRECT_URI=http://localhost:3000/auth/callback</pre>
         `;
     }
 
-    handleAuthSuccess(accessToken, user, scope) {
-        this.accessToken = accessToken;
+    handleAuthSuccess(user, scope) {
         this.user = user;
-        
-        // Store in localStorage for persistence
-        localStorage.setItem('github_access_token', accessToken);
-        localStorage.setItem('github_user', JSON.stringify(user));
-        if (scope) {
-            localStorage.setItem('github_scope', scope);
-        }
+        this.scope = scope;
         
         this.showDashboard();
         this.updateMCPConfig();
+        this.loadApiKeys();
     }
 
     showDashboard() {
@@ -202,10 +261,15 @@ REDIRECT_URI=http://localhost:3000/auth/callback</pre>
         document.getElementById('dashboard-section').style.display = 'none';
     }
 
-    disconnect() {
-        this.clearStoredAuth();
-        this.accessToken = null;
+    async disconnect() {
+        try {
+            await fetch('/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error ending session:', error);
+        }
+        
         this.user = null;
+        this.scope = null;
         this.showAuth();
         this.hideError();
         
@@ -215,101 +279,304 @@ REDIRECT_URI=http://localhost:3000/auth/callback</pre>
         apiResponse.innerHTML = '';
     }
 
-    clearStoredAuth() {
+    // Tokens used to be kept in localStorage; remove any left behind
+    clearLegacyStoredAuth() {
         localStorage.removeItem('github_access_token');
         localStorage.removeItem('github_user');
         localStorage.removeItem('github_scope');
     }
 
-    async testAPI() {
-        const endpoint = document.getElementById('api-endpoint').value.trim();
-        if (!endpoint) {
-            this.showError('Please enter an API endpoint');
-            return;
+    async copyAccessToken() {
+        try {
+            const response = await fetch('/api/auth/token', { cache: 'no-store' });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                this.showError(data.error || 'No access token available');
+                return;
+            }
+            
+            await this.copyToClipboard(data.access_token, 'Access token copied to clipboard!');
+        } catch (error) {
+            console.error('Error fetching access token:', error);
+            this.showError('Failed to fetch access token');
         }
+    }
 
-        if (!this.accessToken) {
-            this.showError('No access token available');
-            return;
+    async loadApiKeys() {
+        try {
+            const response = await fetch('/api/keys');
+            const data = await response.json();
+            
+            if (response.ok) {
+                this.renderApiKeys(data.keys);
+            }
+        } catch (error) {
+            console.error('Error loading API keys:', error);
         }
+    }
 
-        const testButton = document.getElementById('test-api-btn');
-        const originalText = testButton.textContent;
-        testButton.textContent = 'Testing...';
-        testButton.disabled = true;
+    renderApiKeys(keys) {
+        const list = document.getElementById('api-keys-list');
+        list.innerHTML = '';
+        
+        if (keys.length === 0) {
+            list.innerHTML = '<p class="api-key-meta">No API keys yet.</p>';
+            return;
+        }
+        
+        keys.forEach(key => {
+            const row = document.createElement('div');
+            row.className = 'api-key-row';
+            
+            const info = document.createElement('div');
+            const name = document.createElement('strong');
+            name.textContent = key.name;
+            const meta = document.createElement('div');
+            meta.className = 'api-key-meta';
+            meta.textContent = [
+                `${key.prefix}…`,
+                key.installation ? `acts as app installation on ${key.installation}` : null,
+                key.policy?.readOnly ? 'read-only' : null,
+                key.policy?.repositories ? `repositories ${key.policy.repositories.join(', ')}` : null,
+                key.policy?.allowedTools ? `tools ${key.policy.allowedTools.join(', ')}` : null,
+                key.policy?.deniedTools.length ? `denies ${key.policy.deniedTools.join(', ')}` : null,
+                `created ${new Date(key.createdAt).toLocaleDateString()}`,
+                key.expiresAt ? `expires ${new Date(key.expiresAt).toLocaleDateString()}` : 'never expires',
+                key.lastUsedAt ? `last used ${new Date(key.lastUsedAt).toLocaleString()}` : 'never used',
+            ].filter(Boolean).join(' · ');
+            info.appendChild(name);
+            info.appendChild(meta);
+            
+            const revokeButton = document.createElement('button');
+            revokeButton.className = 'disconnect-btn';
+            revokeButton.textContent = 'Revoke';
+            revokeButton.addEventListener('click', () => this.revokeApiKey(key));
+            
+            row.appendChild(info);
+            row.appendChild(revokeButton);
+            list.appendChild(row);
+        });
+    }
 
+    async createApiKey() {
+        const name = document.getElementById('api-key-name').value.trim();
+        const expiresInDays = document.getElementById('api-key-expiry').value;
+        const installation = document.getElementById('api-key-installation').value.trim();
+        const policyFields = ['api-key-repositories', 'api-key-allowed-tools', 'api-key-denied-tools'];
+        const [repositories, allowedTools, deniedTools] = policyFields
+            .map(id => document.getElementById(id).value.trim());
+        const readOnly = document.getElementById('api-key-read-only').checked;
+        
         try {
-            const response = await fetch(`/api/github/${endpoint}`, {
+            const response = await fetch('/api/keys', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    access_token: this.accessToken
+                    name,
+                    expires_in_days: expiresInDays ? Number(expiresInDays) : null,
+                    installation: installation || undefined,
+                    repositories: repositories || undefined,
+                    allowed_tools: allowedTools || undefined,
+                    denied_tools: deniedTools || undefined,
+                    read_only: readOnly
                 })
             });
-
             const data = await response.json();
             
-            const apiResponse = document.getElementById('api-response');
-            apiResponse.style.display = 'block';
+            if (!response.ok) {
+                this.showError(data.error || 'Failed to create API key');
+                return;
+            }
             
-            if (response.ok) {
-                apiResponse.innerHTML = `
-                    <div class="success">✓ API call successful</div>
-                    <pre>${JSON.stringify(data, null, 2)}</pre>
-                `;
-            } else {
-                apiResponse.innerHTML = `
-                    <div class="error-message">✗ API call failed: ${data.error}</div>
-                    <pre>${JSON.stringify(data, null, 2)}</pre>
-                `;
+            // The key is only returned once, so show it and drop it into the config
+            const newKey = document.getElementById('new-api-key');
+            newKey.style.display = 'block';
+            newKey.innerHTML = '<strong>New API key created.</strong> Copy it now, it will not be shown again:';
+            const code = document.createElement('code');
+            code.textContent = data.key;
+            newKey.appendChild(code);
+            
+            document.getElementById('api-key-name').value = '';
+            document.getElementById('api-key-installation').value = '';
+            policyFields.forEach(id => { document.getElementById(id).value = ''; });
+            document.getElementById('api-key-read-only').checked = false;
+            this.updateMCPConfig(data.key);
+            this.loadApiKeys();
+        } catch (error) {
+            console.error('Error creating API key:', error);
+            this.showError('Failed to create API key');
+        }
+    }
+
+    async revokeApiKey(key) {
+        if (!confirm(`Revoke API key "${key.name}"? MCP clients using it will stop working.`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/keys/${encodeURIComponent(key.id)}`, { method: 'DELETE' });
+            
+            if (!response.ok) {
+                const data = await response.json();
+                this.showError(data.error || 'Failed to revoke API key');
+                return;
             }
+            
+            this.loadApiKeys();
         } catch (error) {
-            const apiResponse = document.getElementById('api-response');
-            apiResponse.style.display = 'block';
-            apiResponse.innerHTML = `
-                <div class="error-message">✗ Request failed: ${error.message}</div>
-            `;
+            console.error('Error revoking API key:', error);
+            this.showError('Failed to revoke API key');
+        }
+    }
+
+    // Parse "Name: value" lines from the headers box
+    parseHeaderLines(text) {
+        const headers = {};
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            const separator = line.indexOf(':');
+            if (separator <= 0) {
+                throw new Error(`Invalid header line: ${line.trim()}`);
+            }
+            headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+        return headers;
+    }
+
+    async testAPI() {
+        const endpoint = document.getElementById('api-endpoint').value.trim().replace(/^\/+/, '');
+        if (!endpoint) {
+            this.showError('Please enter an API endpoint');
+            return;
+        }
+
+        if (!this.user) {
+            this.showError('Please authenticate first');
+            return;
+        }
+
+        const method = document.getElementById('api-method').value;
+        const bodyText = document.getElementById('api-body').value.trim();
+        let headers;
+        let body;
+
+        try {
+            headers = this.parseHeaderLines(document.getElementById('api-headers').value);
+            if (bodyText && method !== 'GET') {
+                JSON.parse(bodyText);
+                headers['Content-Type'] = 'application/json';
+                body = bodyText;
+            }
+        } catch (error) {
+            this.showError(error instanceof SyntaxError ? 'Request body must be valid JSON' : error.message);
+            return;
+        }
+
+        const testButton = document.getElementById('test-api-btn');
+        const originalText = testButton.textContent;
+        testButton.textContent = 'Testing...';
+        testButton.disabled = true;
+
+        const apiResponse = document.getElementById('api-response');
+
+        try {
+            const response = await fetch(`/api/github/${endpoint}`, { method, headers, body });
+            const text = await response.text();
+            let data = text;
+            try {
+                data = JSON.stringify(JSON.parse(text), null, 2);
+            } catch {
+                // Not JSON (e.g. raw file contents); show it as-is
+            }
+
+            const status = document.createElement('div');
+            status.className = response.ok ? 'success' : 'error-message';
+            status.textContent = response.ok
+                ? `✓ ${response.status} ${response.statusText}`
+                : `✗ API call failed: ${response.status} ${response.statusText}`;
+
+            const shownHeaders = ['x-ratelimit-remaining', 'x-ratelimit-limit', 'x-ratelimit-reset', 'link', 'etag']
+                .filter(name => response.headers.has(name))
+                .map(name => `${name}: ${response.headers.get(name)}`);
+            const headerBlock = document.createElement('pre');
+            headerBlock.className = 'api-response-headers';
+            headerBlock.textContent = shownHeaders.join('\n');
+
+            const bodyBlock = document.createElement('pre');
+            bodyBlock.textContent = data || '(empty response)';
+
+            apiResponse.replaceChildren(status, ...(shownHeaders.length ? [headerBlock] : []), bodyBlock);
+        } catch (error) {
+            const message = document.createElement('div');
+            message.className = 'error-message';
+            message.textContent = `✗ Request failed: ${error.message}`;
+            apiResponse.replaceChildren(message);
         } finally {
+            apiResponse.style.display = 'block';
             testButton.textContent = originalText;
             testButton.disabled = false;
         }
     }
 
-    updateMCPConfig() {
+    updateMCPConfig(apiKey) {
         const baseUrl = window.location.origin;
+        const mcpUrl = `${baseUrl}/mcp`;
+        // Clients authenticate with an MCP API key; create one above to fill this in
+        const tokenPlaceholder = apiKey || 'YOUR_MCP_API_KEY';
         
         const httpConfig = {
             "mcpServers": {
                 "github-mcp-http": {
-                    "command": "npx",
-                    "args": ["-y", "@modelcontextprotocol/server-fetch"],
-                    "env": {
-                        "FETCH_BASE_URL": `${baseUrl}/mcp`,
-                        "FETCH_DEFAULT_HEADERS": JSON.stringify({
-                            "Authorization": `Bearer ${this.accessToken}`,
-                            "Content-Type": "application/json"
-                        })
+                    "type": "streamable-http",
+                    "url": mcpUrl,
+                    "headers": {
+                        "Authorization": `Bearer ${tokenPlaceholder}`
                     }
                 }
             }
         };
 
-        const configText = `<!-- HTTP MCP Configuration -->
+        // Claude Desktop only launches stdio servers, so bridge through mcp-remote
+        const claudeDesktopConfig = {
+            "mcpServers": {
+                "github-mcp-http": {
+                    "command": "npx",
+                    "args": [
+                        "-y", "mcp-remote", mcpUrl,
+                        "--header", `Authorization: Bearer ${tokenPlaceholder}`
+                    ]
+                }
+            }
+        };
+
+        const configText = `<!-- Streamable HTTP MCP Configuration (Cline, VS Code, Cursor) -->
 ${JSON.stringify(httpConfig, null, 2)}
 
-<!-- Available Endpoints -->
-Tools List: POST ${baseUrl}/mcp/tools/list
-Tool Call:  POST ${baseUrl}/mcp/tools/call
+<!-- Clients with MCP OAuth support only need the URL and will sign you in themselves -->
+
+<!-- Claude Desktop Configuration -->
+${JSON.stringify(claudeDesktopConfig, null, 2)}
 
-<!-- Example Tool Call -->
-curl -X POST ${baseUrl}/mcp/tools/call \\
-  -H "Authorization: Bearer ${this.accessToken}" \\
+<!-- MCP Endpoint (JSON-RPC 2.0 over Streamable HTTP) -->
+${mcpUrl}
+
+<!-- Example Initialize Request -->
+curl -i -X POST ${mcpUrl} \\
+  -H "Authorization: Bearer ${tokenPlaceholder}" \\
   -H "Content-Type: application/json" \\
+  -H "Accept: application/json, text/event-stream" \\
   -d '{
-    "name": "get_user",
-    "arguments": {}
+    "jsonrpc": "2.0",
+    "id": 1,
+    "method": "initialize",
+    "params": {
+      "protocolVersion": "2025-06-18",
+      "capabilities": {},
+      "clientInfo": { "name": "curl", "version": "1.0.0" }
+    }
   }'`;
 
         document.getElementById('mcp-config').textContent = configText;
@@ -380,7 +647,8 @@ curl -X POST ${baseUrl}/mcp/tools/call \\
     getErrorMessage(error) {
         const errorMessages = {
             'access_denied': 'Access denied. You denied the authorization request.',
-            'invalid_state': 'Invalid state parameter. Please try again.',
+            'invalid_state': 'Invalid or expired state parameter. Please start the sign-in again from this browser.',
+            'invalid_redirect_uri': 'The server\'s REDIRECT_URI is misconfigured. Check the server logs.',
             'missing_code_or_state': 'Missing authorization code or state. Please try again.',
             'oauth_exchange_failed': 'Failed to exchange authorization code for access token. Please try again.',
         };
@@ -414,8 +682,8 @@ document.addEventListener('visibilitychange', () => {
 
 // Handle beforeunload to warn about losing auth state
 window.addEventListener('beforeunload', (event) => {
-    const token = localStorage.getItem('github_access_token');
-    if (token && event.target.location.hostname !== 'localhost') {
+    const authenticated = Boolean(window.githubApp?.user);
+    if (authenticated && event.target.location.hostname !== 'localhost') {
         event.preventDefault();
         event.returnValue = 'You are currently authenticated with GitHub. Are you sure you want to leave?';
     }
@@ -424,7 +692,7 @@ window.addEventListener('beforeunload', (event) => {
 // MCP Tool Testing functionality
 window.testMCPTool = async function(toolName, inputSchema) {
     const app = window.githubApp;
-    if (!app || !app.accessToken) {
+    if (!app || !app.user) {
         alert('Please authenticate first');
         return;
     }
@@ -463,8 +731,7 @@ window.testMCPTool = async function(toolName, inputSchema) {
         const response = await fetch('/mcp/tools/call', {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${app.accessToken}`
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({
                 name: toolName,
@@ -504,14 +771,13 @@ window.testMCPTool = async function(toolName, inputSchema) {
 // Add MCP tools to dashboard when authenticated
 window.loadMCPTools = async function() {
     const app = window.githubApp;
-    if (!app || !app.accessToken) return;
+    if (!app || !app.user) return;
 
     try {
         const response = await fetch('/mcp/tools/list', {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${app.accessToken}`
+                'Content-Type': 'application/json'
             }
         });
 
@@ -605,7 +871,7 @@ window.initAdvancedToolTesting = function() {
                     optionEl.textContent = option;
                     input.appendChild(optionEl);
                 });
-            } else if (paramConfig.type === 'number') {
+            } else if (paramConfig.type === 'number' || paramConfig.type === 'integer') {
                 input = document.createElement('input');
                 input.type = 'number';
                 if (paramConfig.minimum !== undefined) input.min = paramConfig.minimum;
@@ -613,6 +879,12 @@ window.initAdvancedToolTesting = function() {
             } else if (paramConfig.type === 'boolean') {
                 input = document.createElement('input');
                 input.type = 'checkbox';
+            } else if (paramConfig.type === 'object' || (paramConfig.type === 'array' && paramConfig.items?.type === 'object')) {
+                // Objects and lists of objects (e.g. workflow inputs, commit operations) are entered as JSON
+                input = document.createElement('textarea');
+                input.rows = 4;
+                input.placeholder = paramConfig.type === 'object' ? '{ ... }' : '[{ ... }]';
+                input.dataset.json = 'true';
             } else {
                 input = document.createElement('input');
                 input.type = 'text';
@@ -644,7 +916,7 @@ window.initAdvancedToolTesting = function() {
     
     function collectParameterValues() {
         const args = {};
-        const inputs = parameterInputs.querySelectorAll('input, select');
+        const inputs = parameterInputs.querySelectorAll('input, select, textarea');
         
         inputs.forEach(input => {
             const paramName = input.name;
@@ -654,6 +926,13 @@ window.initAdvancedToolTesting = function() {
                 value = input.checked;
             } else if (input.type === 'number') {
                 value = input.value ? parseFloat(input.value) : undefined;
+            } else if (input.dataset.json && input.value.trim()) {
+                try {
+                    value = JSON.parse(input.value);
+                } catch {
+                    // Leave it as text so the server reports the invalid argument
+                    value = input.value;
+                }
             } else {
                 value = input.value || undefined;
             }
@@ -668,7 +947,7 @@ window.initAdvancedToolTesting = function() {
     
     async function executeSelectedTool(toolName, args) {
         const app = window.githubApp;
-        if (!app || !app.accessToken) {
+        if (!app || !app.user) {
             alert('Please authenticate first');
             return;
         }
@@ -680,8 +959,7 @@ window.initAdvancedToolTesting = function() {
             const response = await fetch('/mcp/tools/call', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${app.accessToken}`
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     name: toolName,
@@ -735,8 +1013,8 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Override handleAuthSuccess to load MCP tools
     const originalHandleAuthSuccess = window.githubApp.handleAuthSuccess;
-    window.githubApp.handleAuthSuccess = function(accessToken, user, scope) {
-        originalHandleAuthSuccess.call(this, accessToken, user, scope);
+    window.githubApp.handleAuthSuccess = function(user, scope) {
+        originalHandleAuthSuccess.call(this, user, scope);
         setTimeout(() => window.loadMCPTools(), 1000);
     };
 });
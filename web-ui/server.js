@@ -3,6 +3,10 @@ import cors from 'cors';
 import axios from 'axios';
 import dotenv from 'dotenv';
 import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs';
+import readline from 'readline';
+import zlib from 'zlib';
 import { fileURLToPath } from 'url';
 
 dotenv.config();
@@ -18,14 +22,212 @@ const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID;
 const GITHUB_CLIENT_SECRET = process.env.GITHUB_CLIENT_SECRET;
 const REDIRECT_URI = process.env.REDIRECT_URI || `http://localhost:${PORT}/auth/callback`;
 
+// The redirect URI must be an absolute URL that lands on this server's callback route;
+// plain http is only accepted for loopback hosts
+function validateRedirectUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    return 'REDIRECT_URI is not a valid absolute URL';
+  }
+  
+  const loopbackHosts = ['localhost', '127.0.0.1', '[::1]'];
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && loopbackHosts.includes(url.hostname))) {
+    return 'REDIRECT_URI must use https unless it points at localhost';
+  }
+  if (url.hash || url.search) {
+    return 'REDIRECT_URI must not contain a query string or fragment';
+  }
+  if (url.pathname !== '/auth/callback') {
+    return 'REDIRECT_URI must point at the /auth/callback route';
+  }
+  
+  return null;
+}
+
+const REDIRECT_URI_ERROR = validateRedirectUri(REDIRECT_URI);
+
+// Public base URL of this server, used as the OAuth issuer and MCP resource identifier
+const PUBLIC_URL = (process.env.PUBLIC_URL || (REDIRECT_URI_ERROR ? `http://localhost:${PORT}` : new URL(REDIRECT_URI).origin))
+  .replace(/\/$/, '');
+
+if (REDIRECT_URI_ERROR) {
+  console.error(`❌ ${REDIRECT_URI_ERROR}: ${REDIRECT_URI}`);
+}
+
 if (!GITHUB_CLIENT_ID || !GITHUB_CLIENT_SECRET) {
   console.warn('⚠️  GitHub OAuth2 credentials not configured.');
   console.warn('   The web UI will guide you through setting up a GitHub OAuth app.');
   console.warn('   Visit http://localhost:3000 to get started.');
 }
 
+// GitHub App configuration (GITHUB_AUTH_MODE=github-app)
+// Users sign in through the App's user-to-server flow, whose tokens expire and are refreshed
+// here, and API keys can act as an App installation instead of a user.
+const GITHUB_AUTH_MODE = process.env.GITHUB_AUTH_MODE === 'github-app' ? 'github-app' : 'oauth-app';
+const GITHUB_APP_ID = process.env.GITHUB_APP_ID;
+const GITHUB_APP_PRIVATE_KEY = loadGitHubAppPrivateKey();
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000; // refresh tokens 5 minutes before they expire
+
+function loadGitHubAppPrivateKey() {
+  if (process.env.GITHUB_APP_PRIVATE_KEY) {
+    return process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+  
+  if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+    try {
+      return fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+    } catch (error) {
+      console.error(`Failed to read GitHub App private key: ${error.message}`);
+    }
+  }
+  
+  return null;
+}
+
+if (GITHUB_AUTH_MODE === 'github-app' && (!GITHUB_APP_ID || !GITHUB_APP_PRIVATE_KEY)) {
+  console.warn('⚠️  GitHub App mode is enabled but GITHUB_APP_ID or the private key is missing.');
+  console.warn('   Installation access tokens will not be available.');
+}
+
+// Sign a short-lived JWT that authenticates as the GitHub App itself
+function createGitHubAppJWT() {
+  if (!GITHUB_APP_ID || !GITHUB_APP_PRIVATE_KEY) {
+    throw new Error('GitHub App credentials not configured');
+  }
+  
+  const now = Math.floor(Date.now() / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  // Backdate iat to allow for clock drift; GitHub caps exp at 10 minutes
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({ iat: now - 60, exp: now + 9 * 60, iss: GITHUB_APP_ID })}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), GITHUB_APP_PRIVATE_KEY).toString('base64url');
+  
+  return `${unsigned}.${signature}`;
+}
+
+async function callGitHubAppAPI(endpoint, method = 'GET', data = null) {
+  const response = await axios({
+    method,
+    url: `https://api.github.com/${endpoint}`,
+    headers: {
+      'Authorization': `Bearer ${createGitHubAppJWT()}`,
+      'Accept': 'application/vnd.github+json',
+      'User-Agent': 'GitHub-MCP-Server'
+    },
+    data: data || undefined,
+  });
+  return response.data;
+}
+
+// Installation ids, keyed by account ("owner") or repository ("owner/repo")
+const installationIds = new Map();
+
+async function findInstallationId(owner, repo) {
+  const cacheKey = repo ? `${owner}/${repo}` : owner;
+  if (installationIds.has(cacheKey)) {
+    return installationIds.get(cacheKey);
+  }
+  
+  let installation;
+  if (repo) {
+    installation = await callGitHubAppAPI(`repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/installation`);
+  } else {
+    try {
+      installation = await callGitHubAppAPI(`orgs/${encodeURIComponent(owner)}/installation`);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      installation = await callGitHubAppAPI(`users/${encodeURIComponent(owner)}/installation`);
+    }
+  }
+  
+  installationIds.set(cacheKey, installation.id);
+  return installation.id;
+}
+
+// Installation access tokens, keyed by installation id and optional repository
+const installationTokens = new Map();
+const installationTokenRequests = new Map();
+
+function installationTokenKey({ installationId, repository }) {
+  return `${installationId}:${repository || '*'}`;
+}
+
+// Mint (or reuse) an installation access token, refreshing it before it expires
+async function getInstallationToken(credential) {
+  const cacheKey = installationTokenKey(credential);
+  const cached = installationTokens.get(cacheKey);
+  if (cached && cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN) {
+    return cached.token;
+  }
+  
+  // Concurrent callers share one mint request
+  if (!installationTokenRequests.has(cacheKey)) {
+    const body = credential.repository ? { repositories: [credential.repository] } : null;
+    const request = callGitHubAppAPI(`app/installations/${credential.installationId}/access_tokens`, 'POST', body)
+      .then(result => {
+        installationTokens.set(cacheKey, { token: result.token, expiresAt: Date.parse(result.expires_at) });
+        return result.token;
+      })
+      .finally(() => installationTokenRequests.delete(cacheKey));
+    installationTokenRequests.set(cacheKey, request);
+  }
+  
+  return installationTokenRequests.get(cacheKey);
+}
+
+function invalidateInstallationToken(credential) {
+  installationTokens.delete(installationTokenKey(credential));
+}
+
+// Normalize a GitHub token endpoint response; only GitHub App user tokens expire
+function tokenGrantFromResponse(data) {
+  return {
+    token: data.access_token,
+    refreshToken: data.refresh_token || null,
+    tokenExpiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+  };
+}
+
+function tokenNeedsRefresh(grant) {
+  return Boolean(grant.refreshToken && grant.tokenExpiresAt) && grant.tokenExpiresAt - Date.now() < TOKEN_REFRESH_MARGIN;
+}
+
+// Refresh a user-to-server token; concurrent callers share one request
+const userTokenRefreshes = new Map();
+
+function refreshUserToken(refreshToken) {
+  if (!userTokenRefreshes.has(refreshToken)) {
+    const request = axios.post('https://github.com/login/oauth/access_token', {
+      client_id: GITHUB_CLIENT_ID,
+      client_secret: GITHUB_CLIENT_SECRET,
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    }, {
+      headers: {
+        'Accept': 'application/json',
+      }
+    }).then(response => {
+      if (!response.data.access_token) {
+        throw new Error(response.data.error_description || response.data.error || 'Token refresh failed');
+      }
+      return tokenGrantFromResponse(response.data);
+    }).finally(() => userTokenRefreshes.delete(refreshToken));
+    userTokenRefreshes.set(refreshToken, request);
+  }
+  
+  return userTokenRefreshes.get(refreshToken);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({
+  exposedHeaders: [
+    'Mcp-Session-Id', 'WWW-Authenticate', 'Link', 'ETag', 'Retry-After',
+    'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Used', 'X-RateLimit-Reset', 'X-RateLimit-Resource',
+  ],
+}));
+// Webhook signatures are computed over the raw body, so it bypasses the JSON parser
+app.use('/webhooks/github', express.raw({ type: () => true, limit: '25mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
@@ -33,26 +235,182 @@ app.use(express.static('public'));
 // Store for temporary session data (in production, use Redis or database)
 const sessions = new Map();
 
+// Cookie binding an in-flight OAuth2 flow to the browser that started it
+const OAUTH_STATE_COOKIE = 'gh_mcp_oauth_state';
+const OAUTH_STATE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Browser sessions: an httpOnly cookie maps to the GitHub token held server-side
+const SESSION_COOKIE = 'gh_mcp_session';
+const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours of inactivity
+const userSessions = new Map();
+
+function parseCookies(req) {
+  const cookies = {};
+  const header = req.headers.cookie;
+  if (!header) return cookies;
+  
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  
+  return cookies;
+}
+
+function sessionCookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || process.env.NODE_ENV === 'production',
+    path: '/',
+  };
+}
+
+function createUserSession(req, res, data) {
+  const sessionId = crypto.randomBytes(32).toString('base64url');
+  userSessions.set(sessionId, {
+    ...data,
+    createdAt: Date.now(),
+    lastSeen: Date.now(),
+  });
+  res.cookie(SESSION_COOKIE, sessionId, { ...sessionCookieOptions(req), maxAge: SESSION_TTL });
+  return sessionId;
+}
+
+function getUserSession(req) {
+  const sessionId = parseCookies(req)[SESSION_COOKIE];
+  if (!sessionId) return null;
+  
+  const session = userSessions.get(sessionId);
+  if (!session) return null;
+  
+  if (Date.now() - session.lastSeen > SESSION_TTL) {
+    userSessions.delete(sessionId);
+    return null;
+  }
+  
+  session.lastSeen = Date.now();
+  return session;
+}
+
+function destroyUserSession(req, res) {
+  const sessionId = parseCookies(req)[SESSION_COOKIE];
+  if (sessionId) {
+    userSessions.delete(sessionId);
+  }
+  res.clearCookie(SESSION_COOKIE, sessionCookieOptions(req));
+}
+
+// Return the session's GitHub token; expiring GitHub App user tokens live in a shared
+// grant, see getUserGrantToken()
+async function getSessionToken(session) {
+  return session.grantId ? getUserGrantToken(session.grantId) : session.token;
+}
+
+// Require a browser session and expose its GitHub token as req.token
+const requireSession = async (req, res, next) => {
+  const session = getUserSession(req);
+  
+  if (!session) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  
+  try {
+    req.token = await getSessionToken(session);
+  } catch (error) {
+    console.error('Session token refresh failed:', error.message);
+    destroyUserSession(req, res);
+    return res.status(401).json({ error: 'Session expired' });
+  }
+  
+  req.session = session;
+  next();
+};
+
 // Routes
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// PKCE helpers (RFC 7636, S256 method)
+function createCodeVerifier() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function createCodeChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Look up the user behind a fresh token response and start a browser session for them
+async function startUserSession(req, res, tokenData, requestedScopes) {
+  const grant = tokenGrantFromResponse(tokenData);
+  
+  // Get user information
+  const userResponse = await axios.get('https://api.github.com/user', {
+    headers: {
+      'Authorization': `Bearer ${grant.token}`,
+      'Accept': 'application/vnd.github+json',
+    }
+  });
+  
+  const user = userResponse.data;
+  
+  // Keep the token server-side; the browser only gets a session cookie
+  createUserSession(req, res, {
+    ...(grant.refreshToken ? { grantId: storeUserGrant(grant) } : { token: grant.token }),
+    user: {
+      login: user.login,
+      name: user.name,
+      avatar_url: user.avatar_url,
+      email: user.email,
+    },
+    scope: tokenData.scope || requestedScopes,
+  });
+}
+
 // Start OAuth2 flow
 app.get('/auth/github', (req, res) => {
-  const state = Math.random().toString(36).substring(7);
+  if (REDIRECT_URI_ERROR) {
+    return res.redirect('/?error=invalid_redirect_uri');
+  }
+  
+  const state = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = createCodeVerifier();
   const scopes = req.query.scopes || 'repo,user';
+  // Only local OAuth authorization pages may be resumed after login
+  const returnTo = typeof req.query.return_to === 'string' && req.query.return_to.startsWith('/oauth/')
+    ? req.query.return_to
+    : null;
   
-  // Store state for validation
-  sessions.set(state, { timestamp: Date.now(), scopes });
+  // Store state for validation, together with the PKCE verifier
+  sessions.set(state, { timestamp: Date.now(), scopes, codeVerifier, redirectUri: REDIRECT_URI, returnTo });
   
-  const githubAuthUrl = `https://github.com/login/oauth/authorize?` +
-    `client_id=${GITHUB_CLIENT_ID}&` +
-    `redirect_uri=${encodeURIComponent(REDIRECT_URI)}&` +
-    `scope=${encodeURIComponent(scopes)}&` +
-    `state=${state}`;
+  // Bind the state to this browser so a state from another user's flow is rejected
+  res.cookie(OAUTH_STATE_COOKIE, state, { ...sessionCookieOptions(req), maxAge: OAUTH_STATE_TTL });
   
-  res.redirect(githubAuthUrl);
+  const params = new URLSearchParams({
+    client_id: GITHUB_CLIENT_ID,
+    redirect_uri: REDIRECT_URI,
+    scope: scopes,
+    state,
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+  });
+  
+  res.redirect(`https://github.com/login/oauth/authorize?${params.toString()}`);
 });
 
 // OAuth2 callback
@@ -67,348 +425,5026 @@ app.get('/auth/callback', async (req, res) => {
     return res.redirect('/?error=missing_code_or_state');
   }
   
-  // Validate state
+  // Validate state against both the server-side store and this browser's cookie
+  const boundState = parseCookies(req)[OAUTH_STATE_COOKIE];
+  res.clearCookie(OAUTH_STATE_COOKIE, sessionCookieOptions(req));
+  
   const sessionData = sessions.get(state);
-  if (!sessionData) {
+  if (!sessionData || !boundState || !safeEqual(state, boundState)) {
     return res.redirect('/?error=invalid_state');
   }
   
   // Clean up session
   sessions.delete(state);
   
+  if (Date.now() - sessionData.timestamp > OAUTH_STATE_TTL) {
+    return res.redirect('/?error=invalid_state');
+  }
+  
   try {
     // Exchange code for access token
     const tokenResponse = await axios.post('https://github.com/login/oauth/access_token', {
       client_id: GITHUB_CLIENT_ID,
       client_secret: GITHUB_CLIENT_SECRET,
       code: code,
-      state: state,
+      redirect_uri: sessionData.redirectUri,
+      code_verifier: sessionData.codeVerifier,
     }, {
       headers: {
         'Accept': 'application/json',
       }
     });
     
-    const { access_token, token_type, scope } = tokenResponse.data;
-    
-    if (!access_token) {
+    if (!tokenResponse.data.access_token) {
       throw new Error('No access token received');
     }
     
-    // Get user information
-    const userResponse = await axios.get('https://api.github.com/user', {
+    await startUserSession(req, res, tokenResponse.data, sessionData.scopes);
+    
+    res.redirect(sessionData.returnTo || '/?success=true');
+    
+  } catch (error) {
+    console.error('OAuth2 exchange error:', error.response?.data || error.message);
+    res.redirect(`/?error=${encodeURIComponent('oauth_exchange_failed')}`);
+  }
+});
+
+// OAuth2 device flow, for servers whose browser callback URL is not reachable
+// The device code stays server-side; the browser only sees the user code and a flow id.
+const DEVICE_FLOW_COOKIE = 'gh_mcp_device_flow';
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// Store for in-flight device flows, keyed by flow id
+const deviceFlows = new Map();
+
+// Start a device flow and return the code the user enters on github.com
+app.post('/auth/device', async (req, res) => {
+  if (!GITHUB_CLIENT_ID) {
+    return res.status(503).json({ error: 'GitHub OAuth2 credentials not configured' });
+  }
+  
+  const scopes = req.body?.scopes || 'repo,user';
+  
+  try {
+    const response = await axios.post('https://github.com/login/device/code', {
+      client_id: GITHUB_CLIENT_ID,
+      scope: scopes,
+    }, {
       headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Accept': 'application/vnd.github+json',
+        'Accept': 'application/json',
       }
     });
     
-    const user = userResponse.data;
-    
-    // Redirect to success page with user info
-    const params = new URLSearchParams({
-      success: 'true',
-      access_token: access_token,
-      user: JSON.stringify({
-        login: user.login,
-        name: user.name,
-        avatar_url: user.avatar_url,
-        email: user.email,
-      }),
-      scope: scope || sessionData.scopes,
+    const { device_code, user_code, verification_uri, expires_in, interval, error, error_description } = response.data;
+    if (!device_code) {
+      // GitHub answers 200 with an error body, e.g. when device flow is disabled for the app
+      return res.status(400).json({ error: error_description || error || 'Device flow could not be started' });
+    }
+    
+    const flowId = crypto.randomBytes(32).toString('base64url');
+    deviceFlows.set(flowId, {
+      deviceCode: device_code,
+      scopes,
+      interval: interval || 5,
+      lastPolledAt: 0,
+      expiresAt: Date.now() + expires_in * 1000,
+    });
+    
+    // Only the browser that started the flow may complete it
+    res.cookie(DEVICE_FLOW_COOKIE, flowId, { ...sessionCookieOptions(req), maxAge: expires_in * 1000 });
+    res.json({
+      user_code,
+      verification_uri,
+      expires_in,
+      interval: interval || 5,
+    });
+  } catch (error) {
+    console.error('Device flow start error:', error.response?.data || error.message);
+    res.status(502).json({ error: 'Failed to start device flow' });
+  }
+});
+
+// Poll the device flow once; the browser calls this every `interval` seconds
+app.post('/auth/device/poll', async (req, res) => {
+  const flowId = parseCookies(req)[DEVICE_FLOW_COOKIE];
+  const flow = flowId && deviceFlows.get(flowId);
+  
+  if (!flow) {
+    return res.status(404).json({ status: 'expired', error: 'No device flow in progress' });
+  }
+  
+  const finish = (status, body = {}) => {
+    deviceFlows.delete(flowId);
+    res.clearCookie(DEVICE_FLOW_COOKIE, sessionCookieOptions(req));
+    res.json({ status, ...body });
+  };
+  
+  if (Date.now() > flow.expiresAt) {
+    return finish('expired');
+  }
+  
+  // Never poll GitHub faster than it asked for, however often the browser calls
+  if (Date.now() - flow.lastPolledAt < flow.interval * 1000) {
+    return res.json({ status: 'pending', interval: flow.interval });
+  }
+  flow.lastPolledAt = Date.now();
+  
+  try {
+    const response = await axios.post('https://github.com/login/oauth/access_token', {
+      client_id: GITHUB_CLIENT_ID,
+      device_code: flow.deviceCode,
+      grant_type: DEVICE_GRANT_TYPE,
+    }, {
+      headers: {
+        'Accept': 'application/json',
+      }
     });
     
-    res.redirect(`/?${params.toString()}`);
+    const data = response.data;
+    if (data.access_token) {
+      await startUserSession(req, res, data, flow.scopes);
+      return finish('complete');
+    }
     
+    switch (data.error) {
+      case 'authorization_pending':
+        return res.json({ status: 'pending', interval: flow.interval });
+      case 'slow_down':
+        flow.interval = data.interval || flow.interval + 5;
+        return res.json({ status: 'pending', interval: flow.interval });
+      case 'expired_token':
+        return finish('expired');
+      case 'access_denied':
+        return finish('denied');
+      default:
+        return finish('error', { error: data.error_description || data.error || 'Device flow failed' });
+    }
   } catch (error) {
-    console.error('OAuth2 exchange error:', error.response?.data || error.message);
-    res.redirect(`/?error=${encodeURIComponent('oauth_exchange_failed')}`);
+    console.error('Device flow poll error:', error.response?.data || error.message);
+    res.status(502).json({ status: 'pending', interval: flow.interval, error: 'Failed to reach GitHub' });
   }
 });
 
 // API endpoint to get current authentication status
-app.get('/api/auth/status', (req, res) => {
-  const { access_token } = req.query;
+app.get('/api/auth/status', async (req, res) => {
+  const session = getUserSession(req);
   
-  if (!access_token) {
+  if (!session) {
     return res.json({ authenticated: false });
   }
   
+  let token;
+  try {
+    token = await getSessionToken(session);
+  } catch (error) {
+    destroyUserSession(req, res);
+    return res.json({ authenticated: false, error: 'Session expired' });
+  }
+  
   // Verify token with GitHub API
-  axios.get('https://api.github.com/user', {
-    headers: {
-      'Authorization': `Bearer ${access_token}`,
-      'Accept': 'application/vnd.github+json',
-    }
-  }).then(response => {
+  try {
+    const response = await axios.get('https://api.github.com/user', {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Accept': 'application/vnd.github+json',
+      }
+    });
+    
     res.json({
       authenticated: true,
       user: response.data,
+      scope: session.scope,
+      auth_mode: GITHUB_AUTH_MODE,
     });
-  }).catch(error => {
+  } catch (error) {
+    if (error.response?.status === 401) {
+      destroyUserSession(req, res);
+    }
     res.json({
       authenticated: false,
       error: 'Invalid token',
     });
-  });
+  }
 });
 
-// API endpoint to test GitHub API calls
-app.post('/api/github/:endpoint', async (req, res) => {
-  const { access_token } = req.body;
-  const endpoint = req.params.endpoint;
+// Reveal the session's access token on explicit request (e.g. "Copy Access Token")
+app.get('/api/auth/token', requireSession, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({ access_token: req.token });
+});
+
+// End the browser session
+app.post('/auth/logout', (req, res) => {
+  destroyUserSession(req, res);
+  res.json({ success: true });
+});
+
+// GitHub API proxy used by the "Test API Call" panel.
+// Forwards any method, path depth, query string and JSON body to the REST API with the
+// session's token; requests that would resolve outside the allowed hosts are refused.
+const GITHUB_API_BASE = 'https://api.github.com/';
+const GITHUB_PROXY_ALLOWED_HOSTS = new Set(['api.github.com']);
+const GITHUB_PROXY_METHODS = new Set(['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE']);
+const GITHUB_PROXY_REQUEST_HEADERS = ['accept', 'if-none-match', 'if-modified-since', 'x-github-api-version'];
+const GITHUB_PROXY_RESPONSE_HEADERS = [
+  'content-type', 'etag', 'last-modified', 'link', 'location', 'retry-after',
+  'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-used', 'x-ratelimit-reset', 'x-ratelimit-resource',
+  'x-oauth-scopes', 'x-accepted-oauth-scopes', 'x-github-request-id',
+];
+
+// Resolve the part of the request URL after /api/github/ against the API base,
+// keeping the client's encoding. Returns null when the target isn't allowlisted.
+function resolveProxyTarget(originalUrl) {
+  const rest = originalUrl.slice('/api/github/'.length);
+  if (!rest || rest.startsWith('?')) return null;
   
-  if (!access_token) {
-    return res.status(401).json({ error: 'Access token required' });
+  let target;
+  try {
+    target = new URL(rest, GITHUB_API_BASE);
+  } catch {
+    return null;
   }
   
-  try {
-    const response = await axios.get(`https://api.github.com/${endpoint}`, {
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Accept': 'application/vnd.github+json',
-      }
-    });
-    
-    res.json(response.data);
-  } catch (error) {
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data?.message || error.message,
-    });
+  if (target.protocol !== 'https:' || !GITHUB_PROXY_ALLOWED_HOSTS.has(target.hostname) || target.port) {
+    return null;
   }
-});
+  return target;
+}
 
-// MCP HTTP Protocol Implementation
-// Authentication middleware for MCP endpoints
-const authenticateMCP = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+app.all('/api/github/*', requireSession, async (req, res) => {
+  if (!GITHUB_PROXY_METHODS.has(req.method)) {
+    res.setHeader('Allow', [...GITHUB_PROXY_METHODS].join(', '));
+    return res.status(405).json({ error: `Method ${req.method} is not supported` });
+  }
   
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+  const target = resolveProxyTarget(req.originalUrl);
+  if (!target) {
+    return res.status(400).json({ error: 'Endpoint must be a GitHub REST API path, e.g. user/repos' });
   }
   
-  req.token = token;
-  next();
-};
-
-// MCP Tools List - Returns available GitHub tools
-app.post('/mcp/tools/list', authenticateMCP, (req, res) => {
-  const tools = [
-    {
-      name: "get_user",
-      description: "Get the authenticated user's GitHub profile information",
-      inputSchema: {
-        type: "object",
-        properties: {},
-        required: []
-      }
-    },
-    {
-      name: "list_repositories",
-      description: "List repositories for the authenticated user",
-      inputSchema: {
-        type: "object",
-        properties: {
-          type: { type: "string", enum: ["all", "owner", "member"], default: "owner" },
-          sort: { type: "string", enum: ["created", "updated", "pushed", "full_name"], default: "updated" },
-          per_page: { type: "number", minimum: 1, maximum: 100, default: 30 }
-        },
-        required: []
-      }
-    },
-    {
-      name: "get_repository",
-      description: "Get detailed information about a specific repository",
-      inputSchema: {
-        type: "object",
-        properties: {
-          owner: { type: "string", description: "Repository owner" },
-          repo: { type: "string", description: "Repository name" }
-        },
-        required: ["owner", "repo"]
-      }
-    },
-    {
-      name: "list_issues",
-      description: "List issues for a repository",
-      inputSchema: {
-        type: "object",
-        properties: {
-          owner: { type: "string", description: "Repository owner" },
-          repo: { type: "string", description: "Repository name" },
-          state: { type: "string", enum: ["open", "closed", "all"], default: "open" },
-          per_page: { type: "number", minimum: 1, maximum: 100, default: 30 }
-        },
-        required: ["owner", "repo"]
-      }
-    },
-    {
-      name: "create_issue",
-      description: "Create a new issue in a repository",
-      inputSchema: {
-        type: "object",
-        properties: {
-          owner: { type: "string", description: "Repository owner" },
-          repo: { type: "string", description: "Repository name" },
-          title: { type: "string", description: "Issue title" },
-          body: { type: "string", description: "Issue body/description" },
-          labels: { type: "array", items: { type: "string" }, description: "Issue labels" }
-        },
-        required: ["owner", "repo", "title"]
-      }
-    },
-    {
-      name: "list_pull_requests",
-      description: "List pull requests for a repository",
-      inputSchema: {
-        type: "object",
-        properties: {
-          owner: { type: "string", description: "Repository owner" },
-          repo: { type: "string", description: "Repository name" },
-          state: { type: "string", enum: ["open", "closed", "all"], default: "open" },
-          per_page: { type: "number", minimum: 1, maximum: 100, default: 30 }
-        },
-        required: ["owner", "repo"]
-      }
-    },
-    {
-      name: "get_file_contents",
-      description: "Get the contents of a file from a repository",
-      inputSchema: {
-        type: "object",
-        properties: {
-          owner: { type: "string", description: "Repository owner" },
-          repo: { type: "string", description: "Repository name" },
-          path: { type: "string", description: "File path" },
-          ref: { type: "string", description: "Branch, tag, or commit SHA" }
-        },
-        required: ["owner", "repo", "path"]
-      }
-    },
-    {
-      name: "list_commits",
-      description: "List commits for a repository",
-      inputSchema: {
-        type: "object",
-        properties: {
-          owner: { type: "string", description: "Repository owner" },
-          repo: { type: "string", description: "Repository name" },
-          sha: { type: "string", description: "Branch or commit SHA" },
-          per_page: { type: "number", minimum: 1, maximum: 100, default: 30 }
-        },
-        required: ["owner", "repo"]
-      }
-    }
-  ];
+  const headers = {
+    'Authorization': `Bearer ${req.token}`,
+    'Accept': 'application/vnd.github+json',
+    'User-Agent': 'GitHub-MCP-Server',
+  };
+  for (const name of GITHUB_PROXY_REQUEST_HEADERS) {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  }
+  
+  const config = {
+    method: req.method,
+    url: target.href,
+    headers,
+    responseType: 'arraybuffer',
+    validateStatus: () => true,
+  };
+  if (!['GET', 'HEAD'].includes(req.method) && req.is('application/json')) {
+    config.data = req.body;
+  }
   
-  res.json({ tools });
+  try {
+    const response = await axios(config);
+    recordRateLimit(req.token, toApiEndpoint(target), response.headers);
+    if (!['GET', 'HEAD'].includes(req.method) && response.status < 300) {
+      invalidateRepositoryCache(toApiEndpoint(target));
+    }
+    
+    for (const name of GITHUB_PROXY_RESPONSE_HEADERS) {
+      if (response.headers[name] !== undefined) res.setHeader(name, response.headers[name]);
+    }
+    res.status(response.status).send(Buffer.from(response.data));
+  } catch (error) {
+    console.error('GitHub API proxy error:', error.message);
+    res.status(502).json({ error: `GitHub API request failed: ${error.message}` });
+  }
 });
 
-// MCP Tool Call - Execute a specific tool
-app.post('/mcp/tools/call', authenticateMCP, async (req, res) => {
-  const { name, arguments: args } = req.body;
-  
-  if (!name) {
-    return res.status(400).json({ error: 'Tool name is required' });
+// GitHub GraphQL API for the signed-in user
+// Takes { query, variables, operationName } and answers { data, errors, rate_limit }
+app.post('/api/graphql', requireSession, async (req, res) => {
+  const { query, variables, operationName } = req.body || {};
+  if (typeof query !== 'string' || !query.trim()) {
+    return res.status(400).json({ error: 'query is required' });
+  }
+  if (variables !== undefined && !isPlainObject(variables)) {
+    return res.status(400).json({ error: 'variables must be an object' });
   }
   
   try {
-    let result;
+    res.json(await runGraphQL(req.token, { query, variables, operationName }));
+  } catch (error) {
+    if (error.code === 'RATE_LIMITED') {
+      res.setHeader('Retry-After', Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000)));
+      return res.status(429).json({ error: error.message, retry_at: new Date(error.retryAt).toISOString() });
+    }
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    console.error('GitHub GraphQL error:', error.message);
+    res.status(502).json({ error: `GitHub GraphQL request failed: ${error.message}` });
+  }
+});
+
+// GitHub webhooks
+// Deliveries to /webhooks/github are verified against GITHUB_WEBHOOK_SECRET, deduplicated on
+// X-GitHub-Delivery and kept in a bounded event log that is persisted as JSON lines. MCP
+// sessions subscribed to a repository get its events as notifications/message.
+const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET;
+const WEBHOOK_EVENTS_FILE = process.env.WEBHOOK_EVENTS_FILE || path.join(__dirname, 'data', 'webhook-events.jsonl');
+const WEBHOOK_MAX_EVENTS = parseInt(process.env.WEBHOOK_MAX_EVENTS || '1000', 10);
+const WEBHOOK_MAX_PAYLOAD_BYTES = 64 * 1024; // larger payloads are stored without their body
+const WEBHOOK_DELIVERY_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Event log, oldest first
+const webhookEvents = [];
+// Recently seen delivery IDs, so redeliveries are acknowledged without being stored twice
+const webhookDeliveries = new Map();
+let webhookLogLines = 0;
+
+function loadWebhookEvents() {
+  if (!fs.existsSync(WEBHOOK_EVENTS_FILE)) return;
+  
+  try {
+    const lines = fs.readFileSync(WEBHOOK_EVENTS_FILE, 'utf8').split('\n').filter(Boolean);
+    webhookLogLines = lines.length;
+    for (const line of lines.slice(-WEBHOOK_MAX_EVENTS)) {
+      const event = JSON.parse(line);
+      webhookEvents.push(event);
+      webhookDeliveries.set(event.id, Date.parse(event.received_at));
+    }
+  } catch (error) {
+    console.error('Failed to load webhook events:', error.message);
+  }
+}
+
+// Appends to the log file, and rewrites it without evicted events once it holds twice the limit
+function persistWebhookEvent(event) {
+  try {
+    fs.mkdirSync(path.dirname(WEBHOOK_EVENTS_FILE), { recursive: true });
+    if (webhookLogLines >= WEBHOOK_MAX_EVENTS * 2) {
+      const tempFile = `${WEBHOOK_EVENTS_FILE}.tmp`;
+      fs.writeFileSync(tempFile, webhookEvents.map(entry => `${JSON.stringify(entry)}\n`).join(''), { mode: 0o600 });
+      fs.renameSync(tempFile, WEBHOOK_EVENTS_FILE);
+      webhookLogLines = webhookEvents.length;
+    } else {
+      fs.appendFileSync(WEBHOOK_EVENTS_FILE, `${JSON.stringify(event)}\n`, { mode: 0o600 });
+      webhookLogLines++;
+    }
+  } catch (error) {
+    console.error('Failed to save webhook event:', error.message);
+  }
+}
+
+function verifyWebhookSignature(rawBody, signature) {
+  if (typeof signature !== 'string' || !signature.startsWith('sha256=')) return false;
+  
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', GITHUB_WEBHOOK_SECRET).update(rawBody).digest('hex')}`);
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// One line describing an event, e.g. "pull_request review_requested #12 Fix login (octocat)"
+function summarizeWebhookEvent(name, payload) {
+  const action = payload.action ? ` ${payload.action}` : '';
+  
+  const subject = payload.pull_request || payload.issue;
+  if (subject) {
+    const detail = payload.requested_reviewer?.login || payload.requested_team?.name
+      || payload.review?.state || payload.label?.name;
+    return `${name}${action} #${subject.number} ${subject.title}${detail ? ` (${detail})` : ''}`;
+  }
+  
+  const check = payload.check_run || payload.check_suite || payload.workflow_run || payload.workflow_job;
+  if (check) {
+    return `${name}${action} ${check.name || check.app?.name || ''}: ${check.conclusion || check.status}`;
+  }
+  
+  if (name === 'push') {
+    return `push ${payload.commits?.length ?? 0} commits to ${payload.ref}`;
+  }
+  return `${name}${action}`;
+}
+
+function recordWebhookEvent(deliveryId, name, payload, size) {
+  const event = {
+    id: deliveryId,
+    event: name,
+    action: payload.action ?? null,
+    repository: payload.repository?.full_name ?? null,
+    sender: payload.sender?.login ?? null,
+    summary: summarizeWebhookEvent(name, payload),
+    received_at: new Date().toISOString(),
+  };
+  if (size <= WEBHOOK_MAX_PAYLOAD_BYTES) event.payload = payload;
+  else event.payload_omitted = true;
+  
+  webhookEvents.push(event);
+  if (webhookEvents.length > WEBHOOK_MAX_EVENTS) webhookEvents.shift();
+  persistWebhookEvent(event);
+  return event;
+}
+
+function webhookEventSummary({ payload, ...event }) {
+  return event;
+}
+
+function mcpLogLevelEnabled(session, level) {
+  return MCP_LOG_LEVELS.indexOf(level) >= MCP_LOG_LEVELS.indexOf(session.logLevel || 'info');
+}
+
+// Push an event to every MCP session subscribed to its repository that has a stream open
+function notifyWebhookSubscribers(event) {
+  const notification = {
+    jsonrpc: '2.0',
+    method: 'notifications/message',
+    params: { level: 'info', logger: 'github-webhooks', data: webhookEventSummary(event) },
+  };
+  
+  for (const session of [...mcpSessions.values(), ...sseSessions.values()]) {
+    const subscription = session.webhookSubscription;
+    if (!subscription?.repos.has(event.repository?.toLowerCase())) continue;
+    if (subscription.events.length && !subscription.events.includes(event.event)) continue;
+    if (!mcpLogLevelEnabled(session, 'info')) continue;
+    
+    const stream = session.stream || session.res;
+    if (stream && !stream.writableEnded) {
+      sendSseEvent(stream, 'message', notification);
+    }
+  }
+}
+
+// Webhook receiver; express.raw keeps the body as bytes for signature verification
+app.post('/webhooks/github', (req, res) => {
+  if (!GITHUB_WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'Webhook receiver is not configured; set GITHUB_WEBHOOK_SECRET' });
+  }
+  
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!verifyWebhookSignature(rawBody, req.headers['x-hub-signature-256'])) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  
+  const deliveryId = req.headers['x-github-delivery'];
+  const name = req.headers['x-github-event'];
+  if (!deliveryId || !name) {
+    return res.status(400).json({ error: 'X-GitHub-Delivery and X-GitHub-Event headers are required' });
+  }
+  if (webhookDeliveries.has(deliveryId)) {
+    return res.json({ received: true, duplicate: true });
+  }
+  
+  // Webhooks can be configured to send application/x-www-form-urlencoded with a payload field
+  let payload;
+  try {
+    const text = rawBody.toString('utf8');
+    payload = JSON.parse(req.is('application/x-www-form-urlencoded') ? new URLSearchParams(text).get('payload') : text);
+  } catch {
+    return res.status(400).json({ error: 'Invalid webhook payload' });
+  }
+  if (!isPlainObject(payload)) {
+    return res.status(400).json({ error: 'Invalid webhook payload' });
+  }
+  
+  webhookDeliveries.set(deliveryId, Date.now());
+  if (name !== 'ping') {
+    notifyWebhookSubscribers(recordWebhookEvent(deliveryId, name, payload, rawBody.length));
+  }
+  res.json({ received: true });
+});
+
+loadWebhookEvents();
+
+// MCP API keys
+// Opaque, revocable keys handed to MCP clients in place of raw GitHub tokens.
+// The GitHub token behind each key is encrypted at rest with AES-256-GCM.
+const API_KEY_PREFIX = 'ghmcp_';
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json');
+const MCP_REQUIRE_API_KEYS = process.env.MCP_REQUIRE_API_KEYS === 'true';
+
+// Without TOKEN_ENCRYPTION_KEY keys are encrypted with a throwaway key and kept in memory only
+const TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY
+  ? crypto.createHash('sha256').update(process.env.TOKEN_ENCRYPTION_KEY).digest()
+  : crypto.randomBytes(32);
+const API_KEYS_PERSISTENT = Boolean(process.env.TOKEN_ENCRYPTION_KEY);
+
+if (!API_KEYS_PERSISTENT) {
+  console.warn('⚠️  TOKEN_ENCRYPTION_KEY not configured.');
+  console.warn('   MCP API keys will only be kept in memory and are lost on restart.');
+}
+
+function encryptToken(token) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', TOKEN_ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ['v1', iv.toString('base64url'), tag.toString('base64url'), ciphertext.toString('base64url')].join(':');
+}
+
+function decryptToken(payload) {
+  const [version, iv, tag, ciphertext] = payload.split(':');
+  if (version !== 'v1') {
+    throw new Error(`Unsupported token encryption version: ${version}`);
+  }
+  
+  const decipher = crypto.createDecipheriv('aes-256-gcm', TOKEN_ENCRYPTION_KEY, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+// Shared user-to-server grants
+// A GitHub App refresh token can be used once: refreshing returns a new pair and retires
+// the old one. So a session and every API key and OAuth code minted from it point at one
+// grant record by id, and each refresh updates that record in place.
+const userGrants = new Map();
+
+function storeUserGrant(grant) {
+  const record = {
+    id: crypto.randomBytes(8).toString('hex'),
+    encryptedToken: encryptToken(grant.token),
+    encryptedRefreshToken: encryptToken(grant.refreshToken),
+    tokenExpiresAt: grant.tokenExpiresAt,
+  };
+  userGrants.set(record.id, record);
+  return record.id;
+}
+
+// The grant's current token, refreshed first when it is about to expire. Concurrent
+// callers share one refresh request (see refreshUserToken) and store the same result.
+async function getUserGrantToken(grantId) {
+  const record = userGrants.get(grantId);
+  if (!record) {
+    throw new Error('The GitHub token grant no longer exists');
+  }
+  
+  const grant = {
+    token: decryptToken(record.encryptedToken),
+    refreshToken: decryptToken(record.encryptedRefreshToken),
+    tokenExpiresAt: record.tokenExpiresAt,
+  };
+  if (!tokenNeedsRefresh(grant)) return grant.token;
+  
+  const refreshed = await refreshUserToken(grant.refreshToken);
+  if (userGrants.get(grantId) === record && record.tokenExpiresAt === grant.tokenExpiresAt) {
+    record.encryptedToken = encryptToken(refreshed.token);
+    record.encryptedRefreshToken = encryptToken(refreshed.refreshToken || grant.refreshToken);
+    record.tokenExpiresAt = refreshed.tokenExpiresAt;
+    saveApiKeys();
+  }
+  return refreshed.token;
+}
+
+// Store for API keys, keyed by the SHA-256 hash of the key
+const apiKeys = new Map();
+
+function loadApiKeys() {
+  if (!API_KEYS_PERSISTENT || !fs.existsSync(API_KEYS_FILE)) return;
+  
+  try {
+    // Older files hold just the list of keys
+    const data = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+    const { keys, grants = [] } = Array.isArray(data) ? { keys: data } : data;
+    for (const grant of grants) {
+      userGrants.set(grant.id, grant);
+    }
+    for (const record of keys) {
+      // Keys from before shared grants carry their own copy of the refresh token
+      if (record.encryptedRefreshToken) {
+        const grantId = crypto.randomBytes(8).toString('hex');
+        userGrants.set(grantId, {
+          id: grantId,
+          encryptedToken: record.encryptedToken,
+          encryptedRefreshToken: record.encryptedRefreshToken,
+          tokenExpiresAt: record.tokenExpiresAt,
+        });
+        Object.assign(record, { grantId, encryptedToken: null, encryptedRefreshToken: null, tokenExpiresAt: null });
+      }
+      apiKeys.set(record.keyHash, record);
+    }
+  } catch (error) {
+    console.error('Failed to load API keys:', error.message);
+  }
+}
+
+function saveApiKeys() {
+  if (!API_KEYS_PERSISTENT) return;
+  
+  try {
+    fs.mkdirSync(path.dirname(API_KEYS_FILE), { recursive: true });
+    const tempFile = `${API_KEYS_FILE}.tmp`;
+    const keys = [...apiKeys.values()];
+    const grants = [...new Set(keys.map(record => record.grantId).filter(Boolean))]
+      .map(grantId => userGrants.get(grantId))
+      .filter(Boolean);
+    fs.writeFileSync(tempFile, JSON.stringify({ keys, grants }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempFile, API_KEYS_FILE);
+  } catch (error) {
+    console.error('Failed to save API keys:', error.message);
+  }
+}
+
+function isApiKeyExpired(record) {
+  return Boolean(record.expiresAt) && Date.now() > Date.parse(record.expiresAt);
+}
+
+function publicApiKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    installation: record.installation
+      ? [record.installation.account, record.installation.repository].filter(Boolean).join('/')
+      : null,
+    policy: record.policy || null,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    lastUsedAt: record.lastUsedAt,
+  };
+}
+
+// A key either uses the user's token, or acts as a GitHub App installation. Expiring GitHub
+// App user tokens are referenced through their shared grant (grantId), others are copied.
+// policy is an optional tool policy from parseToolPolicy().
+function createApiKey({ token = null, grantId = null, installation = null, login, name, expiresInDays, policy = null }) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = {
+    id: crypto.randomBytes(8).toString('hex'),
+    name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashToken(key),
+    login,
+    encryptedToken: token && !grantId ? encryptToken(token) : null,
+    grantId,
+    installation,
+    policy,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    lastUsedAt: null,
+  };
+  
+  apiKeys.set(record.keyHash, record);
+  saveApiKeys();
+  return { key, record };
+}
+
+// Map a presented API key back to its record, or null if unknown, revoked or expired
+function resolveApiKey(key) {
+  const record = apiKeys.get(hashToken(key));
+  if (!record || isApiKeyExpired(record)) return null;
+  
+  record.lastUsedAt = new Date().toISOString();
+  return record;
+}
+
+// Resolve a key to what callGitHubAPI needs: a user token, or an installation credential
+async function getApiKeyCredential(record) {
+  if (record.installation) {
+    return { installationId: record.installation.id, repository: record.installation.repository };
+  }
+  
+  if (record.grantId) {
+    return getUserGrantToken(record.grantId);
+  }
+  return decryptToken(record.encryptedToken);
+}
+
+// Look up the installation a user may act as, given "org", "user" or "owner/repo"
+async function resolveUserInstallation(token, target) {
+  const [owner, repo] = target.split('/');
+  if (!owner || target.split('/').length > 2) {
+    throw new Error('installation must be an account name or owner/repo');
+  }
+  
+  const installationId = await findInstallationId(owner, repo);
+  
+  // Only let users pick installations they can access themselves
+  const { installations } = await callGitHubAPI(token, 'user/installations?per_page=100');
+  if (!installations.some(installation => installation.id === installationId)) {
+    throw new Error(`You do not have access to the GitHub App installation for ${target}`);
+  }
+  
+  return { id: installationId, account: owner, repository: repo || null };
+}
+
+loadApiKeys();
+
+// List the current user's API keys
+app.get('/api/keys', requireSession, (req, res) => {
+  const keys = [...apiKeys.values()]
+    .filter(record => record.login === req.session.user.login && !isApiKeyExpired(record))
+    .map(publicApiKey);
+  
+  res.json({ keys });
+});
+
+// Issue a new API key for the current user; the key itself is only shown once
+app.post('/api/keys', requireSession, async (req, res) => {
+  const name = String(req.body?.name || '').trim() || 'MCP client';
+  const expiresInDays = req.body?.expires_in_days ? Number(req.body.expires_in_days) : null;
+  
+  if (expiresInDays !== null && (!Number.isFinite(expiresInDays) || expiresInDays <= 0 || expiresInDays > 365)) {
+    return res.status(400).json({ error: 'expires_in_days must be between 1 and 365' });
+  }
+  
+  let policy;
+  try {
+    policy = parseToolPolicy(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  let installation = null;
+  const installationTarget = String(req.body?.installation || '').trim();
+  if (installationTarget) {
+    if (GITHUB_AUTH_MODE !== 'github-app') {
+      return res.status(400).json({ error: 'Installation keys require GITHUB_AUTH_MODE=github-app' });
+    }
+    try {
+      installation = await resolveUserInstallation(req.token, installationTarget);
+    } catch (error) {
+      const message = error.response?.status === 404
+        ? `The GitHub App is not installed on ${installationTarget}`
+        : error.response?.data?.message || error.message;
+      return res.status(400).json({ error: message });
+    }
+  }
+  
+  const { key, record } = createApiKey({
+    token: installation ? null : req.token,
+    grantId: installation ? null : req.session.grantId || null,
+    installation,
+    login: req.session.user.login,
+    name: name.slice(0, 100),
+    expiresInDays,
+    policy,
+  });
+  
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(201).json({ key, ...publicApiKey(record) });
+});
+
+// Revoke one of the current user's API keys
+app.delete('/api/keys/:id', requireSession, (req, res) => {
+  const record = [...apiKeys.values()].find(
+    candidate => candidate.id === req.params.id && candidate.login === req.session.user.login
+  );
+  
+  if (!record) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  
+  apiKeys.delete(record.keyHash);
+  saveApiKeys();
+  res.status(204).end();
+});
+
+// MCP authorization server
+// MCP clients discover these endpoints from the metadata documents, register themselves
+// and run an OAuth 2.1 authorization code flow (with PKCE) against this server. The user
+// signs in through the existing /auth/github flow and the client receives an MCP API key
+// as its access token.
+const MCP_RESOURCE_URL = `${PUBLIC_URL}/mcp`;
+const OAUTH_CODE_TTL = 60 * 1000; // 1 minute
+const OAUTH_ACCESS_TOKEN_TTL_DAYS = Number(process.env.OAUTH_ACCESS_TOKEN_TTL_DAYS) || 30;
+// Anyone can register a client, so clients that never complete an authorization expire,
+// and only so many of them are kept at once
+const OAUTH_UNUSED_CLIENT_TTL = 60 * 60 * 1000; // 1 hour
+const OAUTH_MAX_UNUSED_CLIENTS = 1000;
+const OAUTH_MAX_REDIRECT_URIS = 10;
+
+// Registered clients, authorization requests awaiting consent and issued codes
+// (in production, use Redis or database)
+const oauthClients = new Map();
+const oauthPendingAuthorizations = new Map();
+const oauthCodes = new Map();
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function oauthError(res, status, error, description) {
+  res.status(status).json({ error, error_description: description });
+}
+
+// Registered redirect URIs may be https, http on loopback, or a private-use scheme for native apps
+function isValidClientRedirectUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    return false;
+  }
+  
+  if (url.hash) return false;
+  if (url.protocol === 'https:') return true;
+  if (url.protocol === 'http:') return ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  return !['javascript:', 'data:', 'file:', 'vbscript:'].includes(url.protocol);
+}
+
+function protectedResourceMetadata() {
+  return {
+    resource: MCP_RESOURCE_URL,
+    authorization_servers: [PUBLIC_URL],
+    bearer_methods_supported: ['header'],
+    resource_name: 'GitHub MCP Server',
+  };
+}
+
+// Protected resource metadata (RFC 9728)
+app.get(['/.well-known/oauth-protected-resource', '/.well-known/oauth-protected-resource/mcp'], (req, res) => {
+  res.json(protectedResourceMetadata());
+});
+
+// Authorization server metadata (RFC 8414)
+app.get('/.well-known/oauth-authorization-server', (req, res) => {
+  res.json({
+    issuer: PUBLIC_URL,
+    authorization_endpoint: `${PUBLIC_URL}/oauth/authorize`,
+    token_endpoint: `${PUBLIC_URL}/oauth/token`,
+    registration_endpoint: `${PUBLIC_URL}/oauth/register`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_post', 'client_secret_basic'],
+  });
+});
+
+// Dynamic client registration (RFC 7591)
+app.post('/oauth/register', (req, res) => {
+  const metadata = req.body || {};
+  const redirectUris = metadata.redirect_uris;
+  
+  if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+    return oauthError(res, 400, 'invalid_redirect_uri', 'redirect_uris is required');
+  }
+  if (redirectUris.length > OAUTH_MAX_REDIRECT_URIS) {
+    return oauthError(res, 400, 'invalid_redirect_uri', `At most ${OAUTH_MAX_REDIRECT_URIS} redirect_uris can be registered`);
+  }
+  if (!redirectUris.every(uri => typeof uri === 'string' && uri.length <= 2048 && isValidClientRedirectUri(uri))) {
+    return oauthError(res, 400, 'invalid_redirect_uri', 'redirect_uris must be https, http on localhost, or a private-use scheme');
+  }
+  
+  const authMethod = metadata.token_endpoint_auth_method || 'client_secret_basic';
+  if (!['none', 'client_secret_post', 'client_secret_basic'].includes(authMethod)) {
+    return oauthError(res, 400, 'invalid_client_metadata', `Unsupported token_endpoint_auth_method: ${authMethod}`);
+  }
+  
+  const client = {
+    client_id: crypto.randomUUID(),
+    client_name: String(metadata.client_name || 'MCP client').slice(0, 100),
+    redirect_uris: redirectUris,
+    token_endpoint_auth_method: authMethod,
+    grant_types: ['authorization_code'],
+    response_types: ['code'],
+    client_id_issued_at: Math.floor(Date.now() / 1000),
+  };
+  
+  let clientSecret;
+  if (authMethod !== 'none') {
+    clientSecret = crypto.randomBytes(32).toString('base64url');
+    client.clientSecretHash = hashToken(clientSecret);
+  }
+  
+  // Make room by dropping the oldest clients that have not completed an authorization
+  const unused = [...oauthClients.values()].filter(entry => !entry.authorizedAt);
+  for (const stale of unused.slice(0, Math.max(0, unused.length - OAUTH_MAX_UNUSED_CLIENTS + 1))) {
+    oauthClients.delete(stale.client_id);
+  }
+  oauthClients.set(client.client_id, client);
+  
+  const { clientSecretHash, ...registration } = client;
+  res.status(201).json(clientSecret
+    ? { ...registration, client_secret: clientSecret, client_secret_expires_at: 0 }
+    : registration);
+});
+
+// Authorization endpoint - validates the request, then sends the user through GitHub login
+app.get('/oauth/authorize', (req, res) => {
+  const {
+    response_type: responseType,
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    state,
+    scope,
+    resource,
+  } = req.query;
+  
+  // Errors about the client or redirect URI must not be sent back to the redirect URI
+  const client = oauthClients.get(clientId);
+  if (!client) {
+    return res.status(400).send('Unknown client_id. Register the client first.');
+  }
+  if (!client.redirect_uris.includes(redirectUri)) {
+    return res.status(400).send('redirect_uri does not match a registered redirect URI.');
+  }
+  
+  const redirectWithError = (error, description) => {
+    const url = new URL(redirectUri);
+    url.searchParams.set('error', error);
+    url.searchParams.set('error_description', description);
+    if (state) url.searchParams.set('state', state);
+    res.redirect(url.toString());
+  };
+  
+  if (responseType !== 'code') {
+    return redirectWithError('unsupported_response_type', 'Only response_type=code is supported');
+  }
+  if (!codeChallenge || codeChallengeMethod !== 'S256') {
+    return redirectWithError('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+  }
+  if (resource && resource !== MCP_RESOURCE_URL) {
+    return redirectWithError('invalid_target', `Unknown resource: ${resource}`);
+  }
+  
+  const requestId = crypto.randomBytes(32).toString('base64url');
+  oauthPendingAuthorizations.set(requestId, {
+    clientId,
+    redirectUri,
+    codeChallenge,
+    state: state || null,
+    scope: scope || null,
+    timestamp: Date.now(),
+  });
+  
+  const consentPath = `/oauth/consent?request=${encodeURIComponent(requestId)}`;
+  if (getUserSession(req)) {
+    return res.redirect(consentPath);
+  }
+  
+  res.redirect(`/auth/github?return_to=${encodeURIComponent(consentPath)}`);
+});
+
+// Consent page shown to the signed-in user
+app.get('/oauth/consent', (req, res) => {
+  const requestId = req.query.request;
+  const pending = oauthPendingAuthorizations.get(requestId);
+  const session = getUserSession(req);
+  
+  if (!pending || Date.now() - pending.timestamp > OAUTH_STATE_TTL) {
+    return res.status(400).send('This authorization request has expired. Start again from your MCP client.');
+  }
+  if (!session) {
+    return res.redirect(`/auth/github?return_to=${encodeURIComponent(req.originalUrl)}`);
+  }
+  
+  const client = oauthClients.get(pending.clientId);
+  if (!client) {
+    return res.status(400).send('This client registration has expired. Start again from your MCP client.');
+  }
+  const redirectHost = new URL(pending.redirectUri).host || pending.redirectUri;
+  
+  res.setHeader('Content-Security-Policy', "default-src 'self'; frame-ancestors 'none'");
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Authorize ${escapeHtml(client.client_name)} - GitHub MCP Server</title>
+    <link rel="stylesheet" href="/styles.css">
+</head>
+<body>
+    <div class="container">
+        <main class="main">
+            <section class="auth-section">
+                <div class="auth-card">
+                    <h2>Authorize ${escapeHtml(client.client_name)}</h2>
+                    <p><strong>${escapeHtml(client.client_name)}</strong> wants to use the GitHub MCP Server as
+                    <strong>@${escapeHtml(session.user.login)}</strong>. It will be able to call GitHub tools with your
+                    GitHub permissions until you revoke its key from the dashboard.</p>
+                    <p>After you approve, you will be sent to <code>${escapeHtml(redirectHost)}</code>.</p>
+                    <form method="POST" action="/oauth/consent">
+                        <input type="hidden" name="request" value="${escapeHtml(requestId)}">
+                        <button type="submit" name="decision" value="approve" class="connect-btn">Approve</button>
+                        <button type="submit" name="decision" value="deny" class="disconnect-btn">Deny</button>
+                    </form>
+                </div>
+            </section>
+        </main>
+    </div>
+</body>
+</html>`);
+});
+
+// Consent decision - issues a single-use authorization code
+app.post('/oauth/consent', requireSession, (req, res) => {
+  const requestId = req.body?.request;
+  const pending = oauthPendingAuthorizations.get(requestId);
+  oauthPendingAuthorizations.delete(requestId);
+  
+  if (!pending || Date.now() - pending.timestamp > OAUTH_STATE_TTL) {
+    return res.status(400).send('This authorization request has expired. Start again from your MCP client.');
+  }
+  if (!oauthClients.has(pending.clientId)) {
+    return res.status(400).send('This client registration has expired. Start again from your MCP client.');
+  }
+  
+  const url = new URL(pending.redirectUri);
+  if (pending.state) url.searchParams.set('state', pending.state);
+  
+  if (req.body?.decision !== 'approve') {
+    url.searchParams.set('error', 'access_denied');
+    url.searchParams.set('error_description', 'The user denied the authorization request');
+    return res.redirect(url.toString());
+  }
+  
+  const code = crypto.randomBytes(32).toString('base64url');
+  oauthCodes.set(hashToken(code), {
+    clientId: pending.clientId,
+    redirectUri: pending.redirectUri,
+    codeChallenge: pending.codeChallenge,
+    scope: pending.scope,
+    login: req.session.user.login,
+    encryptedToken: req.session.grantId ? null : encryptToken(req.token),
+    grantId: req.session.grantId || null,
+    timestamp: Date.now(),
+  });
+  
+  url.searchParams.set('code', code);
+  res.redirect(url.toString());
+});
+
+// Authenticate the client at the token endpoint per its registered auth method;
+// returns null for unknown clients and malformed or wrong credentials
+function authenticateOAuthClient(req) {
+  let clientId = req.body?.client_id;
+  let clientSecret = req.body?.client_secret;
+  
+  const authHeader = req.headers.authorization;
+  if (authHeader?.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return null;
+    
+    try {
+      clientId = decodeURIComponent(decoded.slice(0, separator));
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+    } catch {
+      return null;
+    }
+  }
+  
+  const client = oauthClients.get(clientId);
+  if (!client) return null;
+  if (client.token_endpoint_auth_method === 'none') return client;
+  if (!clientSecret || !safeEqual(hashToken(clientSecret), client.clientSecretHash)) return null;
+  return client;
+}
+
+// Token endpoint - exchanges an authorization code for an MCP API key
+app.post('/oauth/token', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  
+  const client = authenticateOAuthClient(req);
+  if (!client) {
+    return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+  
+  const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier, resource } = req.body || {};
+  
+  if (grantType !== 'authorization_code') {
+    return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+  if (!code || !codeVerifier) {
+    return oauthError(res, 400, 'invalid_request', 'code and code_verifier are required');
+  }
+  
+  const codeHash = hashToken(code);
+  const grant = oauthCodes.get(codeHash);
+  oauthCodes.delete(codeHash);
+  
+  if (!grant || Date.now() - grant.timestamp > OAUTH_CODE_TTL || grant.clientId !== client.client_id) {
+    return oauthError(res, 400, 'invalid_grant', 'Authorization code is invalid or expired');
+  }
+  if (grant.redirectUri !== redirectUri) {
+    return oauthError(res, 400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+  }
+  if (!safeEqual(createCodeChallenge(codeVerifier), grant.codeChallenge)) {
+    return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+  }
+  if (resource && resource !== MCP_RESOURCE_URL) {
+    return oauthError(res, 400, 'invalid_target', `Unknown resource: ${resource}`);
+  }
+  
+  const { key } = createApiKey({
+    token: grant.encryptedToken ? decryptToken(grant.encryptedToken) : null,
+    grantId: grant.grantId,
+    login: grant.login,
+    name: `OAuth: ${client.client_name}`,
+    expiresInDays: OAUTH_ACCESS_TOKEN_TTL_DAYS,
+  });
+  client.authorizedAt = Date.now();
+  
+  res.json({
+    access_token: key,
+    token_type: 'Bearer',
+    expires_in: OAUTH_ACCESS_TOKEN_TTL_DAYS * 24 * 60 * 60,
+    ...(grant.scope ? { scope: grant.scope } : {}),
+  });
+});
+
+// MCP HTTP Protocol Implementation
+// Authentication middleware for MCP endpoints
+// MCP clients send an API key (or, unless MCP_REQUIRE_API_KEYS is set, a raw GitHub token)
+// as a bearer token; the web UI relies on its session cookie
+const authenticateMCP = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const bearerToken = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  
+  // Point OAuth-capable MCP clients at the protected resource metadata
+  const challenge = (error, description) => {
+    const params = [`resource_metadata="${PUBLIC_URL}/.well-known/oauth-protected-resource"`];
+    if (error) params.push(`error="${error}"`, `error_description="${description}"`);
+    res.setHeader('WWW-Authenticate', `Bearer ${params.join(', ')}`);
+    return res.status(401).json({ error: description || 'Access token required' });
+  };
+  
+  if (bearerToken?.startsWith(API_KEY_PREFIX)) {
+    const record = resolveApiKey(bearerToken);
+    if (!record) {
+      return challenge('invalid_token', 'Invalid, revoked or expired API key');
+    }
+    
+    try {
+      req.token = await getApiKeyCredential(record);
+    } catch (error) {
+      console.error('Failed to resolve API key credential:', error.message);
+      return challenge('invalid_token', 'API key can no longer be used');
+    }
+    req.apiKey = record;
+    req.authHash = hashToken(bearerToken);
+    return next();
+  }
+  
+  if (bearerToken && MCP_REQUIRE_API_KEYS) {
+    return challenge('invalid_token', 'An MCP API key is required');
+  }
+  
+  if (bearerToken) {
+    req.token = bearerToken;
+    req.authHash = hashToken(bearerToken);
+    return next();
+  }
+  
+  const session = getUserSession(req);
+  if (!session) {
+    return challenge();
+  }
+  
+  try {
+    req.token = await getSessionToken(session);
+  } catch (error) {
+    console.error('Session token refresh failed:', error.message);
+    return challenge('invalid_token', 'Session expired');
+  }
+  req.authHash = hashToken(parseCookies(req)[SESSION_COOKIE]);
+  next();
+};
+
+// Arguments shared by every list tool; see collectPages()
+const MAX_PAGINATED_ITEMS = 1000;
+const PAGINATION_PROPERTIES = {
+  page: { type: "integer", minimum: 1, description: "Page number to start from" },
+  cursor: { type: "string", description: "Continuation cursor from a previous call's next_cursor" },
+  all: { type: "boolean", description: `Follow next links and return every item, up to ${MAX_PAGINATED_ITEMS}` },
+  max_items: { type: "integer", minimum: 1, maximum: MAX_PAGINATED_ITEMS, description: "Follow next links until this many items are collected" }
+};
+
+// Repository contents for get_file_contents
+// Text files are decoded to UTF-8 and can be read by line range. Binary files come back as an
+// MCP resource, and directories as a list of relative paths.
+const UTF8_DECODER = new TextDecoder('utf-8', { fatal: true });
+const BINARY_MIME_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+  ico: 'image/x-icon', bmp: 'image/bmp', pdf: 'application/pdf', zip: 'application/zip',
+  gz: 'application/gzip', tar: 'application/x-tar', jar: 'application/java-archive',
+  wasm: 'application/wasm', woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf',
+  mp3: 'audio/mpeg', wav: 'audio/wav', mp4: 'video/mp4', webm: 'video/webm',
+};
+
+// Returns the text, or null for content that isn't UTF-8 text
+function decodeTextContent(buffer) {
+  if (buffer.subarray(0, 8000).includes(0)) return null;
+  try {
+    return UTF8_DECODER.decode(buffer);
+  } catch {
+    return null;
+  }
+}
+
+function formatByteSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// One line per entry: directories end in "/", files carry their size
+function formatTreeEntry(relativePath, type, size) {
+  if (type === 'dir' || type === 'tree') return `${relativePath}/`;
+  if (type === 'submodule' || type === 'commit') return `${relativePath} (submodule)`;
+  if (type === 'symlink') return `${relativePath} (symlink)`;
+  return size === undefined ? relativePath : `${relativePath} (${formatByteSize(size)})`;
+}
+
+function contentsEndpoint(args, filePath) {
+  const endpoint = filePath
+    ? expandToolPath('repos/{owner}/{repo}/contents/{+path}', { ...args, path: filePath })
+    : expandToolPath('repos/{owner}/{repo}/contents', args);
+  return args.ref ? `${endpoint}?${new URLSearchParams({ ref: args.ref })}` : endpoint;
+}
+
+// Deeper listings come from the recursive Git trees API in a single request
+async function getDirectoryTree(token, args, dirPath) {
+  const ref = args.ref || (await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}', args))).default_branch;
+  const tree = await callGitHubAPI(token, `${expandToolPath('repos/{owner}/{repo}/git/trees/{+ref}', { ...args, ref })}?recursive=1`);
+  
+  const prefix = dirPath ? `${dirPath}/` : '';
+  const items = tree.tree
+    .filter(entry => entry.path.startsWith(prefix))
+    .map(entry => ({ ...entry, relativePath: entry.path.slice(prefix.length) }))
+    .filter(entry => entry.relativePath.split('/').length <= args.depth)
+    .map(entry => formatTreeEntry(entry.relativePath, entry.type, entry.size));
+  
+  const result = { path: dirPath || '/', type: 'dir', ref, depth: args.depth, items };
+  if (tree.truncated) result.truncated = true;
+  return result;
+}
+
+function binaryFileContent(args, file, buffer) {
+  const extension = path.extname(file.path).slice(1).toLowerCase();
+  const mimeType = BINARY_MIME_TYPES[extension] || 'application/octet-stream';
+  const summary = `Binary file ${file.path} (${formatByteSize(buffer.length)}, ${mimeType})`;
+  const blob = buffer.toString('base64');
+  
+  if (Buffer.byteLength(blob) > args.max_bytes) {
+    return toolContent([{
+      type: 'text',
+      text: `${summary} is larger than max_bytes=${args.max_bytes} once encoded; download it from ${file.download_url || file.html_url}`,
+    }]);
+  }
+  
+  return toolContent([
+    { type: 'text', text: summary },
+    { type: 'resource', resource: { uri: file.html_url, mimeType, blob } },
+  ]);
+}
+
+// Files over 1 MB come back from the contents API without content; read them as a blob
+async function fileContentBuffer(token, args, file) {
+  let encoded = file.content;
+  if (file.encoding === 'none' || (!encoded && file.size > 0)) {
+    const blob = await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/git/blobs/{sha}', { ...args, sha: file.sha }));
+    encoded = blob.content;
+  }
+  return Buffer.from(encoded || '', 'base64');
+}
+
+async function getFileContents(token, args) {
+  const filePath = args.path.replace(/^\/+|\/+$/g, '');
+  const data = await callGitHubAPI(token, contentsEndpoint(args, filePath));
+  
+  if (Array.isArray(data)) {
+    if (args.depth > 1) return getDirectoryTree(token, args, filePath);
+    return {
+      path: filePath || '/',
+      type: 'dir',
+      items: data.map(entry => formatTreeEntry(entry.name, entry.type, entry.size)),
+    };
+  }
+  
+  // Symlinks and submodules have no content to decode
+  if (data.type !== 'file') return data;
+  
+  const buffer = await fileContentBuffer(token, args, data);
+  const text = decodeTextContent(buffer);
+  if (text === null) return binaryFileContent(args, data, buffer);
+  
+  const lines = text.split('\n');
+  if (text.endsWith('\n')) lines.pop();
+  const startLine = args.start_line ?? 1;
+  const endLine = Math.min(args.end_line ?? lines.length, lines.length);
+  if (args.end_line !== undefined && args.end_line < startLine) {
+    throw toolInputError('Invalid arguments: end_line must not be before start_line', [
+      { field: 'end_line', message: 'must not be before start_line' },
+    ]);
+  }
+  if (lines.length > 0 && startLine > lines.length) {
+    throw toolInputError(`Invalid arguments: start_line is past the end of the file (${lines.length} lines)`, [
+      { field: 'start_line', message: `must be at most ${lines.length}` },
+    ]);
+  }
+  
+  return {
+    path: data.path,
+    type: 'file',
+    size: data.size,
+    sha: data.sha,
+    total_lines: lines.length,
+    start_line: startLine,
+    end_line: endLine,
+    content: lines.slice(startLine - 1, endLine).join('\n'),
+  };
+}
+
+// A code fence longer than any run of backticks in the text
+function codeFence(text) {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(longestRun + 1);
+}
+
+function formatFileContentsMarkdown(result) {
+  if (Array.isArray(result.items)) {
+    const heading = `**${result.path}**${result.ref ? ` @ ${result.ref}` : ''}`;
+    const notes = result.truncated ? ['', '_GitHub truncated this tree; list a subdirectory to see the rest._'] : [];
+    return [heading, '', ...result.items.map(item => `- ${item}`), ...notes].join('\n');
+  }
+  if (typeof result.content !== 'string') return formatMarkdown(result);
+  
+  const fence = codeFence(result.content);
+  const range = result.start_line !== undefined
+    ? ` (lines ${result.start_line}-${result.end_line} of ${result.total_lines})`
+    : '';
+  return `**${result.path}**${range}\n\n${fence}\n${result.content}\n${fence}`;
+}
+
+// Multi-file commits for commit_changes
+// Builds a single commit through the Git Data API: a blob per new file, one tree on top of
+// the branch head's tree, the commit, and finally a non-forced ref update so that a branch
+// that moved in the meantime fails instead of losing someone else's work.
+
+// A repository-relative file path, or a field error
+function normalizeRepoPath(value, field) {
+  const normalized = value.replace(/^\/+|\/+$/g, '');
+  const segments = normalized.split('/');
+  if (!normalized || segments.some(segment => !segment || segment === '.' || segment === '..')) {
+    throw toolInputError(`Invalid arguments: ${field} is not a valid file path`, [
+      { field, message: 'is not a valid file path' },
+    ]);
+  }
+  return normalized;
+}
+
+// Looks up paths in a commit's tree one directory at a time, reading each directory once
+function createTreeReader(token, args, rootTreeSha) {
+  const directories = new Map();
+  
+  const readDirectory = (dirPath) => {
+    if (!directories.has(dirPath)) {
+      directories.set(dirPath, (async () => {
+        let sha = rootTreeSha;
+        if (dirPath) {
+          const separator = dirPath.lastIndexOf('/');
+          const parent = await readDirectory(separator === -1 ? '' : dirPath.slice(0, separator));
+          const entry = parent?.get(dirPath.slice(separator + 1));
+          if (entry?.type !== 'tree') return null;
+          sha = entry.sha;
+        }
+        const tree = await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/git/trees/{sha}', { ...args, sha }));
+        return new Map(tree.tree.map(entry => [entry.path, entry]));
+      })());
+    }
+    return directories.get(dirPath);
+  };
+  
+  return async (filePath) => {
+    const separator = filePath.lastIndexOf('/');
+    const directory = await readDirectory(separator === -1 ? '' : filePath.slice(0, separator));
+    return directory?.get(filePath.slice(separator + 1)) ?? null;
+  };
+}
+
+function toolConflictError(message) {
+  const error = new Error(message);
+  error.code = 'CONFLICT';
+  return error;
+}
+
+// The branch head, or null if the branch doesn't exist
+async function getBranchHead(token, args) {
+  try {
+    const ref = await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/git/ref/heads/{+branch}', args));
+    return ref.object.sha;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+// Check every operation against the head tree before anything is written. lookup(path)
+// resolves to the head tree's entry for a path, or null. Returns the tree entries to write
+// (a sha of undefined needs a new blob, null deletes the path) and the files to report.
+async function planTreeChanges(operations, lookup, branch) {
+  const seen = new Set();
+  const claim = (filePath, field) => {
+    if (seen.has(filePath)) {
+      throw toolInputError(`Invalid arguments: ${filePath} is changed by more than one operation`, [
+        { field, message: 'is changed by more than one operation' },
+      ]);
+    }
+    seen.add(filePath);
+  };
+  const requireEntry = async (filePath, field, shouldExist) => {
+    const entry = await lookup(filePath);
+    if (shouldExist && entry?.type !== 'blob') {
+      throw toolInputError(`Invalid arguments: ${filePath} does not exist on ${branch}`, [
+        { field, message: 'does not exist' },
+      ]);
+    }
+    if (!shouldExist && entry) {
+      throw toolInputError(`Invalid arguments: ${filePath} already exists on ${branch}`, [
+        { field, message: 'already exists' },
+      ]);
+    }
+    return entry;
+  };
+  
+  const planned = [];
+  const files = [];
+  for (const [index, operation] of operations.entries()) {
+    const field = `operations[${index}]`;
+    const filePath = normalizeRepoPath(operation.path, `${field}.path`);
+    claim(filePath, `${field}.path`);
+    
+    if (['create', 'update'].includes(operation.action) && operation.content === undefined) {
+      throw toolInputError(`Invalid arguments: ${field}.content is required for ${operation.action}`, [
+        { field: `${field}.content`, message: `is required for ${operation.action}` },
+      ]);
+    }
+    
+    files.push({ action: operation.action, path: filePath });
+    switch (operation.action) {
+      case 'create':
+        await requireEntry(filePath, `${field}.path`, false);
+        planned.push({ operation, path: filePath, mode: '100644' });
+        break;
+      case 'update': {
+        const entry = await requireEntry(filePath, `${field}.path`, true);
+        planned.push({ operation, path: filePath, mode: entry.mode });
+        break;
+      }
+      case 'delete': {
+        const entry = await requireEntry(filePath, `${field}.path`, true);
+        planned.push({ operation, path: filePath, mode: entry.mode, sha: null });
+        break;
+      }
+      case 'rename': {
+        if (!operation.from_path) {
+          throw toolInputError(`Invalid arguments: ${field}.from_path is required for rename`, [
+            { field: `${field}.from_path`, message: 'is required for rename' },
+          ]);
+        }
+        const fromPath = normalizeRepoPath(operation.from_path, `${field}.from_path`);
+        claim(fromPath, `${field}.from_path`);
+        files.at(-1).from_path = fromPath;
+        const source = await requireEntry(fromPath, `${field}.from_path`, true);
+        await requireEntry(filePath, `${field}.path`, false);
+        planned.push({ operation, path: fromPath, mode: source.mode, sha: null });
+        // Without new content the renamed file keeps its existing blob
+        planned.push({ operation, path: filePath, mode: source.mode, sha: operation.content === undefined ? source.sha : undefined });
+        break;
+      }
+    }
+  }
+  
+  return { planned, files };
+}
+
+async function commitChanges(token, args) {
+  let headSha = await getBranchHead(token, args);
+  const createBranch = !headSha;
+  
+  if (createBranch) {
+    if (!args.base) {
+      throw toolInputError(`Invalid arguments: branch ${args.branch} does not exist; pass base to create it`, [
+        { field: 'branch', message: 'does not exist; pass base to create it' },
+      ]);
+    }
+    headSha = (await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/commits/{+base}', args))).sha;
+  } else if (args.expected_head_sha && args.expected_head_sha !== headSha) {
+    throw toolConflictError(
+      `Branch ${args.branch} has moved: expected ${args.expected_head_sha} but it is at ${headSha}. ` +
+      'Read the branch again and reapply the changes.'
+    );
+  }
+  
+  const headCommit = await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/git/commits/{sha}', { ...args, sha: headSha }));
+  const lookup = createTreeReader(token, args, headCommit.tree.sha);
+  
+  const { planned, files } = await planTreeChanges(args.operations, lookup, args.branch);
+  
+  const tree = [];
+  for (const entry of planned) {
+    let { sha } = entry;
+    if (sha === undefined) {
+      const blob = await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/git/blobs', args), 'POST', {
+        content: entry.operation.content,
+        encoding: entry.operation.encoding,
+      });
+      sha = blob.sha;
+    }
+    tree.push({ path: entry.path, mode: entry.mode, type: 'blob', sha });
+  }
+  
+  const newTree = await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/git/trees', args), 'POST', {
+    base_tree: headCommit.tree.sha,
+    tree,
+  });
+  const commit = await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/git/commits', args), 'POST', {
+    message: args.message,
+    tree: newTree.sha,
+    parents: [headSha],
+  });
+  
+  try {
+    if (createBranch) {
+      await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/git/refs', args), 'POST', {
+        ref: `refs/heads/${args.branch}`,
+        sha: commit.sha,
+      });
+    } else {
+      await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/git/refs/heads/{+branch}', args), 'PATCH', {
+        sha: commit.sha,
+        force: false,
+      });
+    }
+  } catch (error) {
+    // 422: the branch was created, or moved past our parent, while the commit was being built
+    if (error.response?.status !== 422) throw error;
+    throw toolConflictError(
+      `Branch ${args.branch} changed while the commit was being created; commit ${commit.sha} was not applied. ` +
+      'Read the branch again and retry.'
+    );
+  }
+  
+  return {
+    branch: args.branch,
+    created_branch: createBranch,
+    commit: { sha: commit.sha, parent: headSha, message: commit.message, html_url: commit.html_url },
+    files,
+  };
+}
+
+// Pull request diffs for get_pull_request
+// Diffs are split per file (patches per commit) and only as many chunks as fit the caller's
+// byte budget are returned; the rest are listed so they can be fetched with `paths`.
+function splitDiffByFile(diff) {
+  return diff.split(/^(?=diff --git )/m)
+    .filter(chunk => chunk.startsWith('diff --git '))
+    .map(chunk => {
+      // "+++ b/..." names the file unambiguously; deleted files only have "--- a/..."
+      const path = chunk.match(/^\+\+\+ b\/(.+)$/m)?.[1]
+        ?? chunk.match(/^--- a\/(.+)$/m)?.[1]
+        ?? chunk.match(/^diff --git a\/.+ b\/(.+)$/m)?.[1];
+      return { path, diff: chunk.trimEnd() };
+    });
+}
+
+function splitPatchByCommit(patch) {
+  return patch.split(/^(?=From [0-9a-f]{40} )/m)
+    .filter(chunk => chunk.startsWith('From '))
+    .map(chunk => ({
+      commit: chunk.slice(5, 45),
+      subject: chunk.match(/^Subject: (.*)$/m)?.[1],
+      patch: chunk.trimEnd(),
+    }));
+}
+
+// The pull request as a list, followed by each diff or patch chunk in a fenced block
+function formatPullRequestMarkdown(result) {
+  const { diff_chunks: diffChunks, patch_chunks: patchChunks, ...pull } = result;
+  const chunks = diffChunks || patchChunks;
+  if (!chunks) return formatMarkdown(result);
+  
+  const sections = [formatMarkdown(pull)];
+  for (const chunk of chunks) {
+    const text = chunk.diff ?? chunk.patch;
+    const fence = codeFence(text);
+    sections.push(`### ${chunk.path ?? `${chunk.commit} ${chunk.subject ?? ''}`.trim()}\n\n${fence}diff\n${text}\n${fence}`);
+  }
+  return sections.join('\n\n');
+}
+
+async function getPullRequest(token, args) {
+  const endpoint = expandToolPath('repos/{owner}/{repo}/pulls/{pull_number}', args);
+  const pull = await callGitHubAPI(token, endpoint);
+  if (args.diff_format === 'none') return pull;
+  
+  const text = await callGitHubAPI(token, endpoint, 'GET', null, {
+    accept: `application/vnd.github.${args.diff_format}`,
+  });
+  
+  let chunks = args.diff_format === 'diff' ? splitDiffByFile(text) : splitPatchByCommit(text);
+  if (args.diff_format === 'diff' && args.paths?.length) {
+    chunks = chunks.filter(chunk => args.paths.includes(chunk.path));
+  }
+  
+  // Leave room for the pull request itself within the byte budget
+  let budget = Math.floor(args.max_bytes * 0.75);
+  const included = [];
+  const omitted = [];
+  for (const chunk of chunks) {
+    const size = Buffer.byteLength(JSON.stringify(chunk));
+    if (size <= budget) {
+      included.push(chunk);
+      budget -= size;
+    } else {
+      omitted.push(chunk.path ?? chunk.commit);
+    }
+  }
+  
+  const result = { ...pull, [`${args.diff_format}_chunks`]: included };
+  if (omitted.length) {
+    result.omitted = omitted;
+    result.omitted_note = args.diff_format === 'diff'
+      ? `${omitted.length} file diffs did not fit in max_bytes; request them with paths, or use list_pull_request_files`
+      : `${omitted.length} commit patches did not fit in max_bytes; use diff_format=diff with paths instead`;
+  }
+  return result;
+}
+
+// Issue lifecycle handlers
+
+// An issue with the first page of its comment thread
+async function getIssue(token, args) {
+  const endpoint = expandToolPath('repos/{owner}/{repo}/issues/{issue_number}', args);
+  const issue = await callGitHubAPI(token, endpoint);
+  const thread = await collectPages(token, `${endpoint}/comments`, {
+    max_items: args.max_comments,
+  });
+  
+  const result = { ...issue, comment_thread: thread.items };
+  if (thread.next_cursor) result.comments_next_cursor = thread.next_cursor;
+  return result;
+}
+
+// GitHub removes labels one at a time
+async function removeIssueLabels(token, args) {
+  const removed = [];
+  const notPresent = [];
+  let labels;
+  
+  for (const name of args.labels) {
+    try {
+      labels = await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/issues/{issue_number}/labels/{name}', { ...args, name }), 'DELETE');
+      removed.push(name);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      notPresent.push(name);
+    }
+  }
+  
+  const result = { removed };
+  if (notPresent.length) result.not_present = notPresent;
+  if (labels) result.labels = labels.map(label => label.name);
+  return result;
+}
+
+// milestone 0 clears the milestone, which GitHub expects as null
+async function setIssueMilestone(token, args) {
+  return callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/issues/{issue_number}', args), 'PATCH', {
+    milestone: args.milestone === 0 ? null : args.milestone,
+  });
+}
+
+// Commits between two refs; GitHub lists at most 250 commits per comparison
+async function compareCommits(token, args) {
+  const head = args.head || (await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}', args))).default_branch;
+  // Refs keep their slashes, as in the compare URLs on github.com
+  const data = await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}/compare/{+base}...{+head}', { ...args, head }));
+  
+  const result = {
+    base: args.base,
+    head,
+    status: data.status,
+    ahead_by: data.ahead_by,
+    behind_by: data.behind_by,
+    total_commits: data.total_commits,
+    files_changed: data.files?.length ?? 0,
+    html_url: data.html_url,
+    items: data.commits.map(commit => ({
+      sha: commit.sha,
+      message: commit.commit.message,
+      author: commit.author?.login || commit.commit.author?.name,
+      date: commit.commit.author?.date,
+      html_url: commit.html_url,
+    })),
+  };
+  if (data.total_commits > data.commits.length) {
+    result.note = `Only the first ${data.commits.length} of ${data.total_commits} commits are listed`;
+  }
+  return result;
+}
+
+// Search tools
+// Structured arguments are compiled into GitHub's search syntax: each qualifier argument
+// becomes `name:value` (arrays repeat the qualifier) and each range becomes
+// `name:after..before` from its `<name>_after` / `<name>_before` arguments.
+const TEXT_MATCH_MEDIA_TYPE = 'application/vnd.github.text-match+json';
+
+function quoteSearchValue(value) {
+  const text = String(value);
+  // Numeric comparisons such as >100 or 10..50 must stay unquoted
+  if (/^[<>=]*[\d*.-]+$/.test(text)) return text;
+  return /[\s:"]/.test(text) ? `"${text.replace(/"/g, '')}"` : text;
+}
+
+function compileSearchQuery(args, { qualifiers = [], ranges = [] }) {
+  const terms = args.query ? [args.query] : [];
+  
+  for (const name of qualifiers) {
+    if (args[name] === undefined) continue;
+    for (const value of [].concat(args[name])) {
+      terms.push(`${name}:${quoteSearchValue(value)}`);
+    }
+  }
+  
+  for (const name of ranges) {
+    const after = args[`${name}_after`];
+    const before = args[`${name}_before`];
+    if (after && before) terms.push(`${name}:${after}..${before}`);
+    else if (after) terms.push(`${name}:>=${after}`);
+    else if (before) terms.push(`${name}:<=${before}`);
+  }
+  
+  return terms.join(' ');
+}
+
+// A date (YYYY-MM-DD) or ISO 8601 date-time and nothing else. Range values go into search
+// strings unquoted, so anything more could add qualifiers of its own.
+const ISO_DATE_PATTERN = "^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?)?$";
+
+// Schema properties for a `<name>_after` / `<name>_before` date range
+function dateRangeProperties(name, label) {
+  const date = { type: "string", pattern: ISO_DATE_PATTERN };
+  return {
+    [`${name}_after`]: { ...date, description: `${label} on or after this date (YYYY-MM-DD or an ISO 8601 date-time)` },
+    [`${name}_before`]: { ...date, description: `${label} on or before this date (YYYY-MM-DD or an ISO 8601 date-time)` },
+  };
+}
+
+// Handler for a search endpoint; results keep GitHub's relevance order, score and text matches
+function searchHandler(path, syntax) {
+  return async (token, args) => {
+    const q = compileSearchQuery(args, syntax);
+    if (!q) {
+      throw toolInputError('Invalid arguments: provide query or at least one search qualifier', [
+        { field: 'query', message: 'or at least one qualifier is required' },
+      ]);
+    }
+    
+    // Search cursors share one path, so also hold them to the query they were issued for
+    if (args.cursor && new URL(decodePageCursor(args.cursor, path).endpoint, GITHUB_API_BASE).searchParams.get('q') !== q) {
+      throw toolInputError('Invalid arguments: cursor belongs to a different search', [
+        { field: 'cursor', message: 'belongs to a different search' },
+      ]);
+    }
+    
+    const params = new URLSearchParams({ q, per_page: args.per_page });
+    if (args.sort) params.set('sort', args.sort);
+    if (args.order) params.set('order', args.order);
+    if (args.page) params.set('page', args.page);
+    
+    const result = await collectPages(token, `${path}?${params}`, args, 'items', { accept: TEXT_MATCH_MEDIA_TYPE });
+    return { query: q, ...result };
+  };
+}
+
+// GitHub Actions handlers
+// Job logs are streamed and only their tails kept; artifacts are zip archives, unpacked here
+// so agents get text back.
+const MCP_ARTIFACT_MAX_BYTES = parseInt(process.env.MCP_ARTIFACT_MAX_BYTES || '10485760', 10);
+const FAILED_CONCLUSIONS = new Set(['failure', 'timed_out', 'cancelled', 'startup_failure']);
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+// Lists the files in a zip archive. Each entry's read() inflates it on demand, never past
+// its declared size. Stored and deflated entries cover what GitHub produces; ZIP64 is not supported.
+function readZipEntries(buffer) {
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== ZIP_END_OF_CENTRAL_DIRECTORY) end--;
+  if (end < 0) throw new Error('Invalid zip archive: end of central directory not found');
+  
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Invalid zip archive: malformed central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    
+    if (name.endsWith('/')) continue;
+    if (compressedSize === 0xffffffff || size === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    
+    entries.push({
+      name,
+      size,
+      read() {
+        if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_FILE_HEADER) {
+          throw new Error(`Invalid zip archive: bad local header for ${name}`);
+        }
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(start, start + compressedSize);
+        if (method === 0) return data;
+        if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+        throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+      },
+    });
+  }
+  return entries;
+}
+
+async function downloadArchive(token, endpoint, maxBytes) {
+  const response = await requestGitHub(token, endpoint, 'GET', null, {
+    responseType: 'arraybuffer',
+    maxContentLength: maxBytes,
+  });
+  return Buffer.from(response.data);
+}
+
+// GitHub puts a timestamp on every line of a job log, and a byte order mark before the first
+const JOB_LOG_TIMESTAMP = /^\uFEFF?(\d{4}-\d{2}-\d{2}T[\d:.]+Z) /;
+
+// Keeps the last `limit` lines pushed to it, without trailing blank lines, and counts the rest
+function createLogTail(limit) {
+  let lines = [];
+  let total = 0;
+  let blanks = 0;
+  
+  const append = line => {
+    lines.push(line);
+    total++;
+    // Trimmed in batches so each line costs O(1)
+    if (lines.length >= limit * 2) lines = lines.slice(-limit);
+  };
+  
+  return {
+    push(line) {
+      if (line === '') {
+        blanks++;
+        return;
+      }
+      for (; blanks > 0; blanks--) append('');
+      append(line);
+    },
+    get total() {
+      return total;
+    },
+    result() {
+      const kept = lines.slice(-limit);
+      const result = { log: kept.join('\n') };
+      if (total > kept.length) result.omitted_lines = total - kept.length;
+      return result;
+    },
+  };
+}
+
+// Reads a job's log as it streams in, keeping the tail of the whole job and of each of the
+// selected steps. The log doesn't mark where steps begin, so each line goes to the first step
+// that was running during its second, going by the steps' started_at and completed_at.
+async function tailJobLog(stream, jobSteps, selected, lines) {
+  const windows = jobSteps
+    .filter(step => step.started_at && step.completed_at)
+    .map(step => ({
+      number: step.number,
+      start: Math.floor(Date.parse(step.started_at) / 1000) * 1000,
+      end: Math.floor(Date.parse(step.completed_at) / 1000) * 1000 + 1000,
+    }));
+  const steps = new Map(selected.map(step => [step.number, createLogTail(lines)]));
+  const job = createLogTail(lines);
+  
+  let current = null;
+  for await (const raw of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+    const match = raw.match(JOB_LOG_TIMESTAMP);
+    const line = match ? raw.slice(match[0].length) : raw;
+    // Lines without a timestamp continue the line before them
+    if (match) {
+      const time = Date.parse(match[1]);
+      current = windows.find(({ start, end }) => time >= start && time < end)?.number ?? null;
+    }
+    job.push(line);
+    steps.get(current)?.push(line);
+  }
+  return { job, steps };
+}
+
+async function jobLogTail(token, args, job) {
+  // Queued jobs and jobs that never started have no steps
+  const jobSteps = job.steps || [];
+  const selected = args.step
+    ? jobSteps.filter(step => step.number === args.step)
+    : jobSteps.filter(step => FAILED_CONCLUSIONS.has(step.conclusion));
+  const result = { id: job.id, name: job.name, conclusion: job.conclusion, html_url: job.html_url };
+  
+  let response;
+  try {
+    response = await requestGitHub(token, expandToolPath('repos/{owner}/{repo}/actions/jobs/{job_id}/logs', { ...args, job_id: job.id }), 'GET', null, {
+      responseType: 'stream',
+    });
+  } catch (error) {
+    // Jobs that haven't started have no log yet, and logs are deleted after the retention period
+    if (error.response?.status === 404 || error.response?.status === 410) {
+      return { ...result, note: 'No log is available for this job' };
+    }
+    throw error;
+  }
+  
+  const tails = await tailJobLog(response.data, jobSteps, selected, args.tail_lines);
+  const stepLogs = selected
+    .filter(step => tails.steps.get(step.number).total > 0)
+    .map(step => ({ number: step.number, name: step.name, conclusion: step.conclusion, ...tails.steps.get(step.number).result() }));
+  if (stepLogs.length) return { ...result, steps: stepLogs };
+  
+  if (!tails.job.total) return { ...result, note: 'No log is available for this job' };
+  return { ...result, ...tails.job.result() };
+}
+
+// Tails of the failing steps' logs for a run, or for one job or step of it
+async function getJobLogs(token, args) {
+  const runEndpoint = expandToolPath('repos/{owner}/{repo}/actions/runs/{run_id}', args);
+  const { items: jobs } = await collectPages(token, `${runEndpoint}/jobs?per_page=100`, { all: true }, 'jobs');
+  
+  const selected = args.job_id
+    ? jobs.filter(job => job.id === args.job_id)
+    : jobs.filter(job => FAILED_CONCLUSIONS.has(job.conclusion));
+  if (args.job_id && !selected.length) {
+    throw toolInputError(`Invalid arguments: job ${args.job_id} is not part of run ${args.run_id}`, [
+      { field: 'job_id', message: 'is not a job of this run' },
+    ]);
+  }
+  if (!selected.length) {
+    return { run_id: args.run_id, jobs: [], note: 'No jobs in this run failed; pass job_id to read a specific job' };
+  }
+  
+  const logs = [];
+  for (const job of selected) {
+    logs.push(await jobLogTail(token, args, job));
+  }
+  return { run_id: args.run_id, jobs: logs };
+}
+
+function listWorkflowRuns(token, args) {
+  const path = args.workflow_id
+    ? 'repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs'
+    : 'repos/{owner}/{repo}/actions/runs';
+  const query = ['branch', 'status', 'event', 'actor', 'head_sha', 'per_page', 'page'];
+  return callHttpTool(token, { path, query, paginate: 'workflow_runs' }, args);
+}
+
+function rerunWorkflow(token, args) {
+  let path = 'repos/{owner}/{repo}/actions/runs/{run_id}/rerun';
+  if (args.job_id) path = 'repos/{owner}/{repo}/actions/jobs/{job_id}/rerun';
+  else if (args.failed_only) path = 'repos/{owner}/{repo}/actions/runs/{run_id}/rerun-failed-jobs';
+  return callHttpTool(token, { method: 'POST', path, body: ['enable_debug_logging'] }, args);
+}
+
+function cancelWorkflowRun(token, args) {
+  const path = `repos/{owner}/{repo}/actions/runs/{run_id}/${args.force ? 'force-cancel' : 'cancel'}`;
+  return callHttpTool(token, { method: 'POST', path }, args);
+}
+
+function listArtifacts(token, args) {
+  const path = args.run_id
+    ? 'repos/{owner}/{repo}/actions/runs/{run_id}/artifacts'
+    : 'repos/{owner}/{repo}/actions/artifacts';
+  return callHttpTool(token, { path, query: ['name', 'per_page', 'page'], paginate: 'artifacts' }, args);
+}
+
+// Lists an artifact's files, or returns one of them (a single-file artifact is returned directly)
+async function downloadArtifact(token, args) {
+  const endpoint = expandToolPath('repos/{owner}/{repo}/actions/artifacts/{artifact_id}', args);
+  const artifact = await callGitHubAPI(token, endpoint);
+  const result = { id: artifact.id, name: artifact.name, size_in_bytes: artifact.size_in_bytes };
+  
+  if (artifact.expired) {
+    return { ...result, note: 'This artifact has expired and can no longer be downloaded' };
+  }
+  if (artifact.size_in_bytes > args.max_size) {
+    return { ...result, note: `The artifact is larger than max_size=${args.max_size} bytes` };
+  }
+  
+  const entries = readZipEntries(await downloadArchive(token, `${endpoint}/zip`, args.max_size));
+  const filePath = args.path?.replace(/^\/+/, '') || (entries.length === 1 ? entries[0].name : null);
+  if (!filePath) {
+    return { ...result, files: entries.map(entry => formatTreeEntry(entry.name, 'file', entry.size)) };
+  }
+  
+  const entry = entries.find(({ name }) => name === filePath);
+  if (!entry) {
+    throw toolInputError(`Invalid arguments: ${filePath} is not in artifact ${artifact.name}`, [
+      { field: 'path', message: 'is not a file in this artifact' },
+    ]);
+  }
+  if (entry.size > args.max_size) {
+    return { ...result, path: entry.name, note: `The file is larger than max_size=${args.max_size} bytes once unpacked` };
+  }
+  
+  const buffer = entry.read();
+  const text = decodeTextContent(buffer);
+  if (text === null) {
+    return binaryFileContent(args, { path: entry.name, html_url: artifact.archive_download_url }, buffer);
+  }
+  return { ...result, path: entry.name, size: entry.size, content: text };
+}
+
+// GraphQL
+// runGraphQL adds a rateLimit selection to single-query documents so every call can report
+// its cost. collectConnection follows a connection's pageInfo with a $cursor variable.
+const GRAPHQL_RATE_LIMIT_ALIAS = 'mcpRateLimit';
+
+// Top-level definitions of a document, with the position of each selection set's opening
+// brace. A definition is typed by its leading keyword, or 'query' for the shorthand form;
+// anything else is 'unknown'. `wellFormed` is false when the brackets don't balance or text
+// is left over after the last definition.
+function graphqlDefinitions(query) {
+  // Blank out strings and comments so braces inside them are not counted. Block strings
+  // may contain \""", and comments end at \n or \r.
+  const text = query.replace(/"""(?:\\"""|[\s\S])*?"""|"(?:[^"\\\n\r]|\\.)*"|#[^\n\r]*/g, match => ' '.repeat(match.length));
+  // Commas are insignificant in GraphQL, like whitespace
+  const headerOf = (from, to) => text.slice(from, to).replace(/,/g, ' ').trim();
+  const definitions = [];
+  let wellFormed = true;
+  let depth = 0;
+  let parens = 0;
+  let start = 0;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '(') parens++;
+    else if (char === ')') parens--;
+    else if (parens > 0) continue;
+    else if (char === '{') {
+      if (depth === 0) {
+        const header = headerOf(start, i);
+        const type = header ? header.match(/^(query|mutation|subscription|fragment)\b/)?.[1] || 'unknown' : 'query';
+        definitions.push({ type, brace: i });
+      }
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      start = i + 1;
+    }
+    if (depth < 0 || parens < 0) wellFormed = false;
+  }
+  if (depth !== 0 || parens !== 0 || headerOf(start, text.length)) wellFormed = false;
+  
+  return { definitions, wellFormed, mentionsRateLimit: /\brateLimit\b/.test(text) };
+}
+
+// Adds an aliased rateLimit field to a lone query operation so its cost comes back with
+// the data. Mutations, multi-operation documents and queries that already ask for
+// rateLimit are left as they are.
+function withRateLimitField(query) {
+  const { definitions, wellFormed, mentionsRateLimit } = graphqlDefinitions(query);
+  const operations = definitions.filter(definition => definition.type !== 'fragment');
+  if (!wellFormed || operations.length !== 1 || operations[0].type !== 'query' || mentionsRateLimit) return query;
+  
+  const { brace } = operations[0];
+  return `${query.slice(0, brace + 1)} ${GRAPHQL_RATE_LIMIT_ALIAS}: rateLimit { cost remaining limit resetAt }${query.slice(brace + 1)}`;
+}
+
+function graphqlQueryError(errors) {
+  return toolInputError(`GraphQL query failed: ${errors.map(error => error.message).join('; ')}`,
+    errors.map(error => ({ field: error.path?.join('.') || 'query', message: error.message })));
+}
+
+// Resolves to { data, errors, rate_limit }. GraphQL errors are returned, not thrown, because
+// GitHub answers 200 with partial data for many of them.
+async function runGraphQL(token, { query, variables, operationName }) {
+  const document = withRateLimitField(query);
+  const response = await requestGitHub(token, 'graphql', 'POST', { query: document, variables, operationName });
+  const { data = null, errors } = response.data;
+  
+  let rateLimit = null;
+  if (data?.[GRAPHQL_RATE_LIMIT_ALIAS]) {
+    const { cost, remaining, limit, resetAt } = data[GRAPHQL_RATE_LIMIT_ALIAS];
+    delete data[GRAPHQL_RATE_LIMIT_ALIAS];
+    rateLimit = { cost, remaining, limit, reset_at: resetAt };
+  } else if (response.headers['x-ratelimit-remaining'] !== undefined) {
+    rateLimit = {
+      remaining: Number(response.headers['x-ratelimit-remaining']),
+      limit: Number(response.headers['x-ratelimit-limit']),
+      used: Number(response.headers['x-ratelimit-used']),
+      reset_at: new Date(Number(response.headers['x-ratelimit-reset']) * 1000).toISOString(),
+    };
+  }
+  
+  const result = { data, rate_limit: rateLimit };
+  if (errors?.length) result.errors = errors;
+  return result;
+}
+
+function getPath(value, dottedPath) {
+  return dottedPath.split('.').reduce((current, key) => current?.[key], value);
+}
+
+// Runs a query page by page along the connection at `connectionPath`, passing each endCursor
+// back as $cursor. Pages are never split, so max_items may be overshot by part of a page.
+async function collectConnection(token, request, connectionPath, args) {
+  const limit = args.all ? MAX_PAGINATED_ITEMS : args.max_items;
+  const nodes = [];
+  let cursor = args.cursor ?? null;
+  let first;
+  let cost = 0;
+  let rateLimit;
+  let errors = [];
+  let connection;
+  
+  do {
+    const page = await runGraphQL(token, { ...request, variables: { ...request.variables, cursor } });
+    connection = getPath(page.data, connectionPath);
+    if (!isPlainObject(connection)) {
+      if (page.errors) throw graphqlQueryError(page.errors);
+      throw toolInputError(`Invalid arguments: ${connectionPath} is not a connection in the result`, [
+        { field: 'connection_path', message: 'does not point at an object in data' },
+      ]);
+    }
+    if (!isPlainObject(connection.pageInfo)) {
+      throw toolInputError('Invalid arguments: the connection must select pageInfo { hasNextPage endCursor }', [
+        { field: 'query', message: `must select pageInfo on ${connectionPath}` },
+      ]);
+    }
+    
+    first ??= page;
+    cost += page.rate_limit?.cost ?? 0;
+    rateLimit = page.rate_limit;
+    if (page.errors) errors = errors.concat(page.errors);
+    nodes.push(...(connection.nodes ?? connection.edges ?? []));
+    cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor && limit && nodes.length < limit);
+  
+  // Splice the collected nodes into the first page's data
+  const firstConnection = getPath(first.data, connectionPath);
+  firstConnection[connection.edges && !connection.nodes ? 'edges' : 'nodes'] = nodes;
+  firstConnection.pageInfo = connection.pageInfo;
+  
+  // Report the cost of every page fetched, not just the last one
+  if (rateLimit?.cost !== undefined) rateLimit = { ...rateLimit, cost };
+  const result = { data: first.data, nodes, rate_limit: rateLimit };
+  if (cursor) result.next_cursor = cursor;
+  if (errors.length) result.errors = errors;
+  return result;
+}
+
+async function graphqlQuery(token, args) {
+  const { definitions, wellFormed } = graphqlDefinitions(args.query);
+  if (!wellFormed) {
+    throw toolInputError('Invalid arguments: query is not a well-formed GraphQL document', [
+      { field: 'query', message: 'is not a well-formed GraphQL document' },
+    ]);
+  }
+  // Anything that isn't plainly a query or fragment is refused, as the tool counts as read-only
+  if (definitions.some(definition => definition.type !== 'query' && definition.type !== 'fragment')) {
+    throw toolInputError('Invalid arguments: graphql_query only runs queries; use the REST tools to make changes', [
+      { field: 'query', message: 'must only contain queries and fragments' },
+    ]);
+  }
+  
+  const request = { query: args.query, variables: args.variables, operationName: args.operation_name };
+  if (args.connection_path) {
+    const { nodes, ...result } = await collectConnection(token, request, args.connection_path, args);
+    return result;
+  }
+  
+  const result = await runGraphQL(token, request);
+  if (result.errors && !result.data) throw graphqlQueryError(result.errors);
+  return result;
+}
+
+// Curated GraphQL tools
+const PULL_REQUEST_DASHBOARD_QUERY = `
+  query($owner: String!, $repo: String!, $states: [PullRequestState!], $first: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequests(states: $states, first: $first, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number title url isDraft updatedAt headRefName baseRefName mergeable reviewDecision
+          author { login }
+          labels(first: 10) { nodes { name } }
+          reviewRequests(first: 10) { nodes { requestedReviewer { ... on User { login } ... on Team { slug } } } }
+          latestReviews(first: 10) { nodes { state author { login } } }
+          commits(last: 1) { nodes { commit { oid statusCheckRollup { state } } } }
+        }
+      }
+    }
+  }`;
+
+// Pull requests with their review and CI state, in one query per page
+async function pullRequestDashboard(token, args) {
+  const variables = { owner: args.owner, repo: args.repo, states: [args.state.toUpperCase()], first: args.per_page };
+  const { nodes, next_cursor, rate_limit } = await collectConnection(token,
+    { query: PULL_REQUEST_DASHBOARD_QUERY, variables }, 'repository.pullRequests', args);
+  
+  const items = nodes.map(pull => {
+    const commit = pull.commits.nodes[0]?.commit;
+    return {
+      number: pull.number,
+      title: pull.title,
+      author: pull.author?.login ?? null,
+      draft: pull.isDraft,
+      head: pull.headRefName,
+      base: pull.baseRefName,
+      review_decision: pull.reviewDecision,
+      reviews: pull.latestReviews.nodes.map(review => `${review.author?.login ?? 'ghost'}: ${review.state}`),
+      requested_reviewers: pull.reviewRequests.nodes
+        .map(({ requestedReviewer }) => requestedReviewer?.login ?? requestedReviewer?.slug)
+        .filter(Boolean),
+      checks: commit?.statusCheckRollup?.state ?? null,
+      head_sha: commit?.oid ?? null,
+      mergeable: pull.mergeable,
+      labels: pull.labels.nodes.map(label => label.name),
+      updated_at: pull.updatedAt,
+      url: pull.url,
+    };
+  });
+  
+  const result = { items, rate_limit };
+  if (next_cursor) result.next_cursor = next_cursor;
+  return result;
+}
+
+function projectItemsQuery(ownerType) {
+  const fieldName = '... on ProjectV2FieldCommon { name }';
+  return `
+    query($login: String!, $number: Int!, $first: Int!, $cursor: String) {
+      ${ownerType}(login: $login) {
+        projectV2(number: $number) {
+          title url
+          items(first: $first, after: $cursor) {
+            pageInfo { hasNextPage endCursor }
+            nodes {
+              id type isArchived
+              content {
+                ... on Issue { title number url state repository { nameWithOwner } }
+                ... on PullRequest { title number url state repository { nameWithOwner } }
+                ... on DraftIssue { title }
+              }
+              fieldValues(first: 20) {
+                nodes {
+                  ... on ProjectV2ItemFieldTextValue { text field { ${fieldName} } }
+                  ... on ProjectV2ItemFieldNumberValue { number field { ${fieldName} } }
+                  ... on ProjectV2ItemFieldDateValue { date field { ${fieldName} } }
+                  ... on ProjectV2ItemFieldSingleSelectValue { name field { ${fieldName} } }
+                  ... on ProjectV2ItemFieldIterationValue { title field { ${fieldName} } }
+                }
+              }
+            }
+          }
+        }
+      }
+    }`;
+}
+
+// Projects v2 items with their custom field values keyed by field name
+async function listProjectItems(token, args) {
+  const variables = { login: args.owner, number: args.project_number, first: args.per_page };
+  const { data, nodes, next_cursor, rate_limit } = await collectConnection(token,
+    { query: projectItemsQuery(args.owner_type), variables }, `${args.owner_type}.projectV2.items`, args);
+  
+  const items = nodes.map(item => {
+    const fields = {};
+    for (const value of item.fieldValues.nodes) {
+      if (!value.field?.name) continue;
+      fields[value.field.name] = value.text ?? value.number ?? value.date ?? value.name ?? value.title ?? null;
+    }
+    return {
+      id: item.id,
+      type: item.type,
+      title: item.content?.title ?? null,
+      number: item.content?.number ?? null,
+      state: item.content?.state ?? null,
+      repository: item.content?.repository?.nameWithOwner ?? null,
+      url: item.content?.url ?? null,
+      archived: item.isArchived,
+      fields,
+    };
+  });
+  
+  const project = data[args.owner_type].projectV2;
+  const result = { project: project.title, project_url: project.url, items, rate_limit };
+  if (next_cursor) result.next_cursor = next_cursor;
+  return result;
+}
+
+// Webhook event handlers
+// Events are only shown for repositories the caller's token can read.
+async function canReadRepository(token, fullName) {
+  const [owner, repo] = fullName.split('/');
+  try {
+    await callGitHubAPI(token, expandToolPath('repos/{owner}/{repo}', { owner, repo }));
+    return true;
+  } catch (error) {
+    if ([403, 404].includes(error.response?.status)) return false;
+    throw error;
+  }
+}
+
+async function listWebhookEvents(token, args) {
+  const since = args.since ? Date.parse(args.since) : null;
+  // The pattern still lets through dates that don't exist, such as month 13
+  if (Number.isNaN(since)) {
+    throw toolInputError('Invalid arguments: since is not a valid date', [{ field: 'since', message: 'is not a valid date' }]);
+  }
+  const matching = webhookEvents
+    .filter(event => event.repository)
+    .filter(event => !args.repo || event.repository.toLowerCase() === args.repo.toLowerCase())
+    .filter(event => !args.event?.length || args.event.includes(event.event))
+    .filter(event => !args.action || event.action === args.action)
+    .filter(event => !since || Date.parse(event.received_at) >= since)
+    .reverse();
+  
+  const readable = new Map();
+  const items = [];
+  for (const event of matching) {
+    if (items.length >= args.limit) break;
+    if (!readable.has(event.repository)) {
+      readable.set(event.repository, await canReadRepository(token, event.repository));
+    }
+    if (readable.get(event.repository)) {
+      items.push(args.include_payload ? event : webhookEventSummary(event));
+    }
+  }
+  return { items };
+}
+
+// Replaces the session's subscription; an empty repos list unsubscribes
+async function subscribeWebhookEvents(token, args, session) {
+  if (!session) {
+    throw toolInputError('Invalid arguments: subscribe_webhook_events needs an MCP session; call it through /mcp or /sse');
+  }
+  
+  const errors = [];
+  for (const [index, repo] of args.repos.entries()) {
+    if (!(await canReadRepository(token, repo))) {
+      errors.push({ field: `repos[${index}]`, message: 'is not readable with this token' });
+    }
+  }
+  if (errors.length) {
+    throw toolInputError(`Invalid arguments for subscribe_webhook_events: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`, errors);
+  }
+  
+  if (!args.repos.length) {
+    delete session.webhookSubscription;
+    return { subscribed: [] };
+  }
+  
+  session.webhookSubscription = { repos: new Set(args.repos.map(repo => repo.toLowerCase())), events: args.events };
+  const result = { subscribed: args.repos, events: args.events.length ? args.events : 'all' };
+  if (!session.stream && !session.res) {
+    result.note = 'Open a GET /mcp event stream with this session to receive notifications';
+  }
+  return result;
+}
+
+// Output options added to every tool; see formatToolOutput()
+const MCP_OUTPUT_MAX_BYTES = parseInt(process.env.MCP_OUTPUT_MAX_BYTES || '50000', 10);
+const OUTPUT_PROPERTIES = {
+  format: {
+    type: "string",
+    enum: ["compact", "markdown", "full"],
+    default: "compact",
+    description: "compact keeps the most useful fields, markdown renders them as text, full returns the raw GitHub payload"
+  },
+  fields: {
+    type: "array",
+    items: { type: "string" },
+    description: "Fields to keep instead of the compact defaults, with dots for nested fields (e.g. number, user.login)"
+  },
+  max_bytes: {
+    type: "integer",
+    minimum: 1000,
+    maximum: 1000000,
+    default: MCP_OUTPUT_MAX_BYTES,
+    description: "Truncate the output to this many bytes"
+  }
+};
+
+// GitHub tools exposed over both the REST routes and the MCP endpoint.
+// Each entry declares its input schema and either an `http` mapping onto the REST API
+// or a custom `handler(token, args)`. In path templates `{name}` expands to one encoded
+// segment and `{+name}` to a slash-separated path whose segments are encoded one by one.
+// Mappings with `paginate` return { items, next_cursor } and accept PAGINATION_PROPERTIES.
+// `compactFields` lists what format=compact keeps; every tool also accepts OUTPUT_PROPERTIES.
+// Optional `markdown(result)` renders format=markdown and `truncationHint` extends the
+// truncation note. Handlers can return toolContent([...]) to send MCP content items as-is.
+// For tool policies, `http` tools are read-only when they GET and handlers only when they set
+// `readOnly: true`. `repositories(args)` names the repositories a call touches when they
+// don't come from `owner` and `repo`; see checkToolRepositories().
+const GITHUB_TOOLS = [
+  {
+    name: "get_user",
+    description: "Get the authenticated user's GitHub profile information",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: []
+    },
+    repositories: () => [],
+    http: { path: "user" },
+    compactFields: ["login", "name", "company", "location", "bio", "public_repos", "followers", "following", "html_url", "created_at"]
+  },
+  {
+    name: "list_repositories",
+    description: "List repositories for the authenticated user",
+    inputSchema: {
+      type: "object",
+      properties: {
+        type: { type: "string", enum: ["all", "owner", "member"], default: "owner" },
+        sort: { type: "string", enum: ["created", "updated", "pushed", "full_name"], default: "updated" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: []
+    },
+    repositories: anyRepository,
+    http: { path: "user/repos", query: ["type", "sort", "per_page", "page"], paginate: true },
+    compactFields: ["full_name", "description", "private", "fork", "language", "stargazers_count", "open_issues_count", "default_branch", "updated_at"]
+  },
+  {
+    name: "get_repository",
+    description: "Get detailed information about a specific repository",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" }
+      },
+      required: ["owner", "repo"]
+    },
+    http: { path: "repos/{owner}/{repo}" },
+    compactFields: ["full_name", "description", "private", "fork", "archived", "language", "topics", "stargazers_count", "forks_count", "open_issues_count", "default_branch", "html_url", "updated_at"]
+  },
+  {
+    name: "list_issues",
+    description: "List issues for a repository",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        state: { type: "string", enum: ["open", "closed", "all"], default: "open" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ["owner", "repo"]
+    },
+    http: { path: "repos/{owner}/{repo}/issues", query: ["state", "per_page", "page"], paginate: true },
+    compactFields: ["number", "title", "state", "labels.name", "user.login", "assignees.login", "comments", "updated_at"]
+  },
+  {
+    name: "create_issue",
+    description: "Create a new issue in a repository",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        title: { type: "string", minLength: 1, description: "Issue title" },
+        body: { type: "string", default: "", description: "Issue body/description" },
+        labels: { type: "array", items: { type: "string" }, default: [], description: "Issue labels" }
+      },
+      required: ["owner", "repo", "title"]
+    },
+    http: { method: "POST", path: "repos/{owner}/{repo}/issues", body: ["title", "body", "labels"] },
+    compactFields: ["number", "title", "state", "labels.name", "html_url"]
+  },
+  {
+    name: "get_issue",
+    description: "Get an issue with its comment thread",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        issue_number: { type: "integer", minimum: 1, description: "Issue or pull request number" },
+        max_comments: { type: "integer", minimum: 1, maximum: 100, default: 30, description: "How many comments to include" }
+      },
+      required: ["owner", "repo", "issue_number"]
+    },
+    readOnly: true,
+    handler: getIssue,
+    compactFields: [
+      "number", "title", "state", "state_reason", "user.login", "body", "labels.name", "assignees.login",
+      "milestone.title", "locked", "comments", "created_at", "html_url",
+      "comment_thread.id", "comment_thread.user.login", "comment_thread.body", "comment_thread.created_at", "comments_next_cursor"
+    ]
+  },
+  {
+    name: "list_issue_comments",
+    description: "List the comments on an issue or pull request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        issue_number: { type: "integer", minimum: 1, description: "Issue or pull request number" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ["owner", "repo", "issue_number"]
+    },
+    http: { path: "repos/{owner}/{repo}/issues/{issue_number}/comments", query: ["per_page", "page"], paginate: true },
+    compactFields: ["id", "user.login", "body", "created_at", "updated_at", "html_url"]
+  },
+  {
+    name: "update_issue",
+    description: "Edit an issue's title or body, or close or reopen it",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        issue_number: { type: "integer", minimum: 1, description: "Issue or pull request number" },
+        title: { type: "string", minLength: 1, description: "New title" },
+        body: { type: "string", description: "New body" },
+        state: { type: "string", enum: ["open", "closed"], description: "Close or reopen the issue" },
+        state_reason: { type: "string", enum: ["completed", "not_planned", "reopened"], description: "Why the state changed" }
+      },
+      required: ["owner", "repo", "issue_number"]
+    },
+    http: { method: "PATCH", path: "repos/{owner}/{repo}/issues/{issue_number}", body: ["title", "body", "state", "state_reason"] },
+    compactFields: ["number", "title", "state", "state_reason", "labels.name", "assignees.login", "milestone.title", "locked", "html_url"]
+  },
+  {
+    name: "add_issue_labels",
+    description: "Add labels to an issue",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        issue_number: { type: "integer", minimum: 1, description: "Issue or pull request number" },
+        labels: { type: "array", items: { type: "string" }, minItems: 1, description: "Label names" }
+      },
+      required: ["owner", "repo", "issue_number", "labels"]
+    },
+    http: { method: "POST", path: "repos/{owner}/{repo}/issues/{issue_number}/labels", body: ["labels"] },
+    compactFields: ["name"]
+  },
+  {
+    name: "remove_issue_labels",
+    description: "Remove labels from an issue",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        issue_number: { type: "integer", minimum: 1, description: "Issue or pull request number" },
+        labels: { type: "array", items: { type: "string" }, minItems: 1, description: "Label names" }
+      },
+      required: ["owner", "repo", "issue_number", "labels"]
+    },
+    handler: removeIssueLabels
+  },
+  {
+    name: "set_issue_assignees",
+    description: "Replace an issue's assignees (an empty list unassigns everyone)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        issue_number: { type: "integer", minimum: 1, description: "Issue or pull request number" },
+        assignees: { type: "array", items: { type: "string" }, maxItems: 10, description: "User logins" }
+      },
+      required: ["owner", "repo", "issue_number", "assignees"]
+    },
+    http: { method: "PATCH", path: "repos/{owner}/{repo}/issues/{issue_number}", body: ["assignees"] },
+    compactFields: ["number", "title", "state", "state_reason", "labels.name", "assignees.login", "milestone.title", "locked", "html_url"]
+  },
+  {
+    name: "set_issue_milestone",
+    description: "Set an issue's milestone",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        issue_number: { type: "integer", minimum: 1, description: "Issue or pull request number" },
+        milestone: { type: "integer", minimum: 0, description: "Milestone number, or 0 to remove the milestone" }
+      },
+      required: ["owner", "repo", "issue_number", "milestone"]
+    },
+    handler: setIssueMilestone,
+    compactFields: ["number", "title", "state", "state_reason", "labels.name", "assignees.login", "milestone.title", "locked", "html_url"]
+  },
+  {
+    name: "add_issue_comment",
+    description: "Comment on an issue or pull request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        issue_number: { type: "integer", minimum: 1, description: "Issue or pull request number" },
+        body: { type: "string", minLength: 1, description: "Comment text" }
+      },
+      required: ["owner", "repo", "issue_number", "body"]
+    },
+    http: { method: "POST", path: "repos/{owner}/{repo}/issues/{issue_number}/comments", body: ["body"] },
+    compactFields: ["id", "user.login", "body", "created_at", "updated_at", "html_url"]
+  },
+  {
+    name: "update_issue_comment",
+    description: "Edit a comment on an issue or pull request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        comment_id: { type: "integer", minimum: 1, description: "Comment ID" },
+        body: { type: "string", minLength: 1, description: "New comment text" }
+      },
+      required: ["owner", "repo", "comment_id", "body"]
+    },
+    http: { method: "PATCH", path: "repos/{owner}/{repo}/issues/comments/{comment_id}", body: ["body"] },
+    compactFields: ["id", "user.login", "body", "created_at", "updated_at", "html_url"]
+  },
+  {
+    name: "delete_issue_comment",
+    description: "Delete a comment on an issue or pull request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        comment_id: { type: "integer", minimum: 1, description: "Comment ID" }
+      },
+      required: ["owner", "repo", "comment_id"]
+    },
+    http: { method: "DELETE", path: "repos/{owner}/{repo}/issues/comments/{comment_id}" }
+  },
+  {
+    name: "lock_issue",
+    description: "Lock an issue's conversation",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        issue_number: { type: "integer", minimum: 1, description: "Issue or pull request number" },
+        lock_reason: { type: "string", enum: ["off-topic", "too heated", "resolved", "spam"] }
+      },
+      required: ["owner", "repo", "issue_number"]
+    },
+    http: { method: "PUT", path: "repos/{owner}/{repo}/issues/{issue_number}/lock", body: ["lock_reason"] }
+  },
+  {
+    name: "unlock_issue",
+    description: "Unlock an issue's conversation",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        issue_number: { type: "integer", minimum: 1, description: "Issue or pull request number" }
+      },
+      required: ["owner", "repo", "issue_number"]
+    },
+    http: { method: "DELETE", path: "repos/{owner}/{repo}/issues/{issue_number}/lock" }
+  },
+  {
+    name: "list_pull_requests",
+    description: "List pull requests for a repository",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        state: { type: "string", enum: ["open", "closed", "all"], default: "open" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ["owner", "repo"]
+    },
+    http: { path: "repos/{owner}/{repo}/pulls", query: ["state", "per_page", "page"], paginate: true },
+    compactFields: ["number", "title", "state", "draft", "user.login", "head.ref", "base.ref", "labels.name", "updated_at"]
+  },
+  {
+    name: "create_pull_request",
+    description: "Open a pull request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        title: { type: "string", minLength: 1, description: "Pull request title" },
+        head: { type: "string", description: "Branch with the changes (owner:branch for forks)" },
+        base: { type: "string", description: "Branch to merge into" },
+        body: { type: "string", description: "Pull request description" },
+        draft: { type: "boolean", default: false, description: "Open as a draft" },
+        maintainer_can_modify: { type: "boolean", description: "Allow maintainers to push to the head branch" }
+      },
+      required: ["owner", "repo", "title", "head", "base"]
+    },
+    http: { method: "POST", path: "repos/{owner}/{repo}/pulls", body: ["title", "head", "base", "body", "draft", "maintainer_can_modify"] },
+    compactFields: ["number", "title", "state", "draft", "head.ref", "base.ref", "html_url"]
+  },
+  {
+    name: "get_pull_request",
+    description: "Get a pull request, optionally with its diff split per file or its patch split per commit",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        pull_number: { type: "integer", minimum: 1, description: "Pull request number" },
+        diff_format: { type: "string", enum: ["none", "diff", "patch"], default: "none", description: "Include the diff or patch" },
+        paths: { type: "array", items: { type: "string" }, description: "Only include the diffs of these files" }
+      },
+      required: ["owner", "repo", "pull_number"]
+    },
+    readOnly: true,
+    handler: getPullRequest,
+    markdown: formatPullRequestMarkdown,
+    compactFields: [
+      "number", "title", "state", "draft", "merged", "mergeable", "mergeable_state", "user.login", "body",
+      "head.ref", "head.sha", "base.ref", "labels.name", "requested_reviewers.login", "commits", "additions",
+      "deletions", "changed_files", "html_url", "diff_chunks", "patch_chunks", "omitted", "omitted_note"
+    ]
+  },
+  {
+    name: "list_pull_request_files",
+    description: "List the files changed by a pull request, with each file's patch",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        pull_number: { type: "integer", minimum: 1, description: "Pull request number" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ["owner", "repo", "pull_number"]
+    },
+    http: { path: "repos/{owner}/{repo}/pulls/{pull_number}/files", query: ["per_page", "page"], paginate: true },
+    compactFields: ["filename", "status", "previous_filename", "additions", "deletions", "patch"]
+  },
+  {
+    name: "list_review_comments",
+    description: "List the line comments on a pull request, including replies in review threads",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        pull_number: { type: "integer", minimum: 1, description: "Pull request number" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ["owner", "repo", "pull_number"]
+    },
+    http: { path: "repos/{owner}/{repo}/pulls/{pull_number}/comments", query: ["per_page", "page"], paginate: true },
+    compactFields: ["id", "in_reply_to_id", "path", "line", "user.login", "body", "created_at"]
+  },
+  {
+    name: "create_pull_request_review",
+    description: "Review a pull request: approve, request changes or comment, with optional line comments",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        pull_number: { type: "integer", minimum: 1, description: "Pull request number" },
+        event: { type: "string", enum: ["APPROVE", "REQUEST_CHANGES", "COMMENT"], description: "Review outcome" },
+        body: { type: "string", description: "Review summary (required for REQUEST_CHANGES and COMMENT)" },
+        commit_id: { type: "string", description: "Commit the review applies to (defaults to the latest)" },
+        comments: {
+          type: "array",
+          description: "Line comments",
+          items: {
+            type: "object",
+            properties: {
+              path: { type: "string", description: "File path" },
+              line: { type: "integer", minimum: 1, description: "Line in the diff to comment on" },
+              side: { type: "string", enum: ["LEFT", "RIGHT"], description: "LEFT for deleted lines, RIGHT for added or unchanged lines" },
+              start_line: { type: "integer", minimum: 1, description: "First line of a multi-line comment" },
+              start_side: { type: "string", enum: ["LEFT", "RIGHT"] },
+              body: { type: "string", minLength: 1, description: "Comment text" }
+            },
+            required: ["path", "line", "body"]
+          }
+        }
+      },
+      required: ["owner", "repo", "pull_number", "event"]
+    },
+    http: { method: "POST", path: "repos/{owner}/{repo}/pulls/{pull_number}/reviews", body: ["event", "body", "commit_id", "comments"] },
+    compactFields: ["id", "state", "body", "user.login", "submitted_at", "html_url"]
+  },
+  {
+    name: "reply_to_review_comment",
+    description: "Reply in the thread of a pull request line comment",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        pull_number: { type: "integer", minimum: 1, description: "Pull request number" },
+        comment_id: { type: "integer", minimum: 1, description: "ID of the top-level comment of the thread" },
+        body: { type: "string", minLength: 1, description: "Reply text" }
+      },
+      required: ["owner", "repo", "pull_number", "comment_id", "body"]
+    },
+    http: { method: "POST", path: "repos/{owner}/{repo}/pulls/{pull_number}/comments/{comment_id}/replies", body: ["body"] },
+    compactFields: ["id", "in_reply_to_id", "path", "line", "body", "html_url"]
+  },
+  {
+    name: "request_reviewers",
+    description: "Request reviews on a pull request from users or teams",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        pull_number: { type: "integer", minimum: 1, description: "Pull request number" },
+        reviewers: { type: "array", items: { type: "string" }, description: "User logins" },
+        team_reviewers: { type: "array", items: { type: "string" }, description: "Team slugs" }
+      },
+      required: ["owner", "repo", "pull_number"]
+    },
+    http: { method: "POST", path: "repos/{owner}/{repo}/pulls/{pull_number}/requested_reviewers", body: ["reviewers", "team_reviewers"] },
+    compactFields: ["number", "requested_reviewers.login", "requested_teams.slug", "html_url"]
+  },
+  {
+    name: "update_pull_request_branch",
+    description: "Merge the base branch into a pull request's head branch",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        pull_number: { type: "integer", minimum: 1, description: "Pull request number" },
+        expected_head_sha: { type: "string", description: "Fail if the head branch is no longer at this commit" }
+      },
+      required: ["owner", "repo", "pull_number"]
+    },
+    http: { method: "PUT", path: "repos/{owner}/{repo}/pulls/{pull_number}/update-branch", body: ["expected_head_sha"] }
+  },
+  {
+    name: "merge_pull_request",
+    description: "Merge a pull request with a merge commit, squash or rebase",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        pull_number: { type: "integer", minimum: 1, description: "Pull request number" },
+        merge_method: { type: "string", enum: ["merge", "squash", "rebase"], default: "merge" },
+        commit_title: { type: "string", description: "Title of the merge or squash commit" },
+        commit_message: { type: "string", description: "Extra detail for the merge or squash commit" },
+        sha: { type: "string", description: "Fail if the head is no longer at this commit" }
+      },
+      required: ["owner", "repo", "pull_number"]
+    },
+    http: { method: "PUT", path: "repos/{owner}/{repo}/pulls/{pull_number}/merge", body: ["merge_method", "commit_title", "commit_message", "sha"] }
+  },
+  {
+    name: "get_file_contents",
+    description: "Get a file's decoded contents, or a directory listing as a tree",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        path: { type: "string", default: "", description: "File or directory path (empty for the repository root)" },
+        ref: { type: "string", description: "Branch, tag, or commit SHA" },
+        start_line: { type: "integer", minimum: 1, description: "First line of a text file to return" },
+        end_line: { type: "integer", minimum: 1, description: "Last line of a text file to return" },
+        depth: { type: "integer", minimum: 1, maximum: 10, default: 1, description: "How many directory levels to list" }
+      },
+      required: ["owner", "repo"]
+    },
+    readOnly: true,
+    handler: getFileContents,
+    markdown: formatFileContentsMarkdown,
+    truncationHint: "Use start_line and end_line to read the file in parts, or a smaller depth for directories.",
+    compactFields: ["path", "type", "size", "sha", "total_lines", "start_line", "end_line", "content", "target", "submodule_git_url"]
+  },
+  {
+    name: "list_commits",
+    description: "List commits for a repository",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        sha: { type: "string", description: "Branch or commit SHA" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ["owner", "repo"]
+    },
+    http: { path: "repos/{owner}/{repo}/commits", query: ["sha", "per_page", "page"], paginate: true },
+    compactFields: ["sha", "commit.message", "commit.author.name", "commit.author.date", "author.login"]
+  },
+  {
+    name: "compare_commits",
+    description: "List the commits between two refs, e.g. since the last release tag",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        base: { type: "string", description: "Older branch, tag or commit" },
+        head: { type: "string", description: "Newer branch, tag or commit (the default branch by default)" }
+      },
+      required: ["owner", "repo", "base"]
+    },
+    readOnly: true,
+    handler: compareCommits,
+    compactFields: ["sha", "message", "author", "date"]
+  },
+  {
+    name: "search_code",
+    description: "Search code across repositories, with matching fragments",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Search terms" },
+        repo: { type: "string", description: "Limit to a repository (owner/name)" },
+        org: { type: "string", description: "Limit to an organization" },
+        user: { type: "string", description: "Limit to a user's repositories" },
+        language: { type: "string", description: "Programming language" },
+        path: { type: "string", description: "Directory the file is in" },
+        filename: { type: "string", description: "File name" },
+        extension: { type: "string", description: "File extension without the dot" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        order: { type: "string", enum: ["desc", "asc"], description: "Sort direction (only with sort)" },
+        ...PAGINATION_PROPERTIES
+      },
+      required: []
+    },
+    readOnly: true,
+    repositories: searchRepositories,
+    handler: searchHandler("search/code", { qualifiers: ["repo", "org", "user", "language", "path", "filename", "extension"] }),
+    compactFields: ["path", "repository.full_name", "score", "text_matches.fragment", "html_url"]
+  },
+  {
+    name: "search_issues",
+    description: "Search issues and pull requests",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Search terms" },
+        repo: { type: "string", description: "Limit to a repository (owner/name)" },
+        org: { type: "string", description: "Limit to an organization" },
+        type: { type: "string", enum: ["issue", "pr"], description: "Only issues or only pull requests" },
+        state: { type: "string", enum: ["open", "closed"] },
+        label: { type: "array", items: { type: "string" }, description: "Labels, all of which must match" },
+        author: { type: "string", description: "Author login" },
+        assignee: { type: "string", description: "Assignee login" },
+        mentions: { type: "string", description: "Login mentioned in the conversation" },
+        language: { type: "string", description: "Repository language" },
+        ...dateRangeProperties("created", "Created"),
+        ...dateRangeProperties("updated", "Updated"),
+        ...dateRangeProperties("closed", "Closed"),
+        sort: { type: "string", enum: ["comments", "reactions", "created", "updated"], description: "Defaults to best match" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        order: { type: "string", enum: ["desc", "asc"], description: "Sort direction (only with sort)" },
+        ...PAGINATION_PROPERTIES
+      },
+      required: []
+    },
+    readOnly: true,
+    repositories: searchRepositories,
+    handler: searchHandler("search/issues", {
+      qualifiers: ["repo", "org", "type", "state", "label", "author", "assignee", "mentions", "language"],
+      ranges: ["created", "updated", "closed"]
+    }),
+    compactFields: ["number", "title", "state", "user.login", "labels.name", "comments", "updated_at", "html_url", "score", "text_matches.fragment"]
+  },
+  {
+    name: "search_repositories",
+    description: "Search repositories",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Search terms" },
+        org: { type: "string", description: "Limit to an organization" },
+        user: { type: "string", description: "Limit to a user's repositories" },
+        language: { type: "string", description: "Primary language" },
+        topic: { type: "array", items: { type: "string" }, description: "Topics, all of which must match" },
+        stars: { type: "string", description: "Star count, e.g. >100 or 10..50" },
+        archived: { type: "boolean", description: "Only archived, or only unarchived, repositories" },
+        ...dateRangeProperties("created", "Created"),
+        ...dateRangeProperties("pushed", "Last pushed"),
+        sort: { type: "string", enum: ["stars", "forks", "help-wanted-issues", "updated"], description: "Defaults to best match" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        order: { type: "string", enum: ["desc", "asc"], description: "Sort direction (only with sort)" },
+        ...PAGINATION_PROPERTIES
+      },
+      required: []
+    },
+    readOnly: true,
+    repositories: anyRepository,
+    handler: searchHandler("search/repositories", {
+      qualifiers: ["org", "user", "language", "topic", "stars", "archived"],
+      ranges: ["created", "pushed"]
+    }),
+    compactFields: ["full_name", "description", "language", "stargazers_count", "topics", "updated_at", "score", "text_matches.fragment"]
+  },
+  {
+    name: "search_commits",
+    description: "Search commits on default branches",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Search terms in the commit message" },
+        repo: { type: "string", description: "Limit to a repository (owner/name)" },
+        org: { type: "string", description: "Limit to an organization" },
+        author: { type: "string", description: "Author login" },
+        committer: { type: "string", description: "Committer login" },
+        merge: { type: "boolean", description: "Only merge commits, or exclude them" },
+        ...dateRangeProperties("author-date", "Authored"),
+        ...dateRangeProperties("committer-date", "Committed"),
+        sort: { type: "string", enum: ["author-date", "committer-date"], description: "Defaults to best match" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        order: { type: "string", enum: ["desc", "asc"], description: "Sort direction (only with sort)" },
+        ...PAGINATION_PROPERTIES
+      },
+      required: []
+    },
+    readOnly: true,
+    repositories: searchRepositories,
+    handler: searchHandler("search/commits", {
+      qualifiers: ["repo", "org", "author", "committer", "merge"],
+      ranges: ["author-date", "committer-date"]
+    }),
+    compactFields: ["sha", "commit.message", "commit.author.name", "commit.author.date", "repository.full_name", "score", "text_matches.fragment"]
+  },
+  {
+    name: "search_users",
+    description: "Search users and organizations",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Search terms (login, name or email)" },
+        type: { type: "string", enum: ["user", "org"] },
+        location: { type: "string", description: "Location in the profile" },
+        language: { type: "string", description: "Language of their repositories" },
+        followers: { type: "string", description: "Follower count, e.g. >100" },
+        repos: { type: "string", description: "Repository count, e.g. 10..50" },
+        ...dateRangeProperties("created", "Joined"),
+        sort: { type: "string", enum: ["followers", "repositories", "joined"], description: "Defaults to best match" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        order: { type: "string", enum: ["desc", "asc"], description: "Sort direction (only with sort)" },
+        ...PAGINATION_PROPERTIES
+      },
+      required: []
+    },
+    readOnly: true,
+    repositories: () => [],
+    handler: searchHandler("search/users", {
+      qualifiers: ["type", "location", "language", "followers", "repos"],
+      ranges: ["created"]
+    }),
+    compactFields: ["login", "type", "html_url", "score", "text_matches.fragment"]
+  },
+  {
+    name: "commit_changes",
+    description: "Create, update, delete and rename files in a single commit on a branch",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        branch: { type: "string", description: "Branch to commit to" },
+        message: { type: "string", minLength: 1, description: "Commit message" },
+        operations: {
+          type: "array",
+          minItems: 1,
+          maxItems: 100,
+          description: "File changes to apply, in order",
+          items: {
+            type: "object",
+            properties: {
+              action: { type: "string", enum: ["create", "update", "delete", "rename"] },
+              path: { type: "string", description: "File path (the new path for rename)" },
+              from_path: { type: "string", description: "Current path of a renamed file" },
+              content: { type: "string", description: "New file contents (create, update, and optionally rename)" },
+              encoding: { type: "string", enum: ["utf-8", "base64"], default: "utf-8" }
+            },
+            required: ["action", "path"]
+          }
+        },
+        base: { type: "string", description: "Branch, tag or commit SHA to create the branch from if it doesn't exist" },
+        expected_head_sha: { type: "string", description: "Fail if the branch head is no longer this commit" }
+      },
+      required: ["owner", "repo", "branch", "message", "operations"]
+    },
+    handler: commitChanges
+  },
+  {
+    name: "list_workflows",
+    description: "List a repository's GitHub Actions workflows",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ["owner", "repo"]
+    },
+    http: { path: "repos/{owner}/{repo}/actions/workflows", query: ["per_page", "page"], paginate: "workflows" },
+    compactFields: ["id", "name", "path", "state", "html_url"]
+  },
+  {
+    name: "list_workflow_runs",
+    description: "List workflow runs for a repository or a single workflow",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        workflow_id: { type: "string", description: "Workflow ID or file name, e.g. ci.yml" },
+        branch: { type: "string" },
+        status: {
+          type: "string",
+          enum: ["completed", "action_required", "cancelled", "failure", "neutral", "skipped", "stale", "success", "timed_out", "in_progress", "queued", "requested", "waiting", "pending"]
+        },
+        event: { type: "string", description: "Triggering event, e.g. push or workflow_dispatch" },
+        actor: { type: "string", description: "Login of the user who triggered the run" },
+        head_sha: { type: "string" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ["owner", "repo"]
+    },
+    readOnly: true,
+    handler: listWorkflowRuns,
+    compactFields: ["id", "name", "display_title", "status", "conclusion", "event", "head_branch", "head_sha", "run_attempt", "created_at", "html_url"]
+  },
+  {
+    name: "dispatch_workflow",
+    description: "Trigger a workflow that has a workflow_dispatch trigger",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        workflow_id: { type: "string", description: "Workflow ID or file name, e.g. ci.yml" },
+        ref: { type: "string", description: "Branch or tag to run the workflow on" },
+        inputs: { type: "object", additionalProperties: { type: "string" }, description: "Values for the workflow's inputs" }
+      },
+      required: ["owner", "repo", "workflow_id", "ref"]
+    },
+    http: { method: "POST", path: "repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches", body: ["ref", "inputs"] }
+  },
+  {
+    name: "rerun_workflow",
+    description: "Rerun a workflow run, only its failed jobs, or a single job",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        run_id: { type: "integer", minimum: 1 },
+        job_id: { type: "integer", minimum: 1, description: "Rerun only this job (and the jobs that depend on it)" },
+        failed_only: { type: "boolean", default: true, description: "Rerun only the failed jobs and their dependents" },
+        enable_debug_logging: { type: "boolean", default: false }
+      },
+      required: ["owner", "repo", "run_id"]
+    },
+    handler: rerunWorkflow
+  },
+  {
+    name: "cancel_workflow_run",
+    description: "Cancel a workflow run",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        run_id: { type: "integer", minimum: 1 },
+        force: { type: "boolean", default: false, description: "Force-cancel a run that ignores normal cancellation" }
+      },
+      required: ["owner", "repo", "run_id"]
+    },
+    handler: cancelWorkflowRun
+  },
+  {
+    name: "list_workflow_jobs",
+    description: "List the jobs of a workflow run with their steps",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        run_id: { type: "integer", minimum: 1 },
+        filter: { type: "string", enum: ["latest", "all"], default: "latest", description: "Latest attempt only, or all attempts" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ["owner", "repo", "run_id"]
+    },
+    http: { path: "repos/{owner}/{repo}/actions/runs/{run_id}/jobs", query: ["filter", "per_page", "page"], paginate: "jobs" },
+    compactFields: ["id", "name", "status", "conclusion", "started_at", "completed_at", "steps.number", "steps.name", "steps.conclusion", "html_url"]
+  },
+  {
+    name: "get_job_logs",
+    description: "Get the last lines of the failing steps' logs for a workflow run",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        run_id: { type: "integer", minimum: 1 },
+        job_id: { type: "integer", minimum: 1, description: "Read this job instead of the failed ones" },
+        step: { type: "integer", minimum: 1, description: "Read this step number instead of the failed ones" },
+        tail_lines: { type: "integer", minimum: 1, maximum: 2000, default: 100, description: "Lines to return from the end of each log" }
+      },
+      required: ["owner", "repo", "run_id"]
+    },
+    readOnly: true,
+    handler: getJobLogs
+  },
+  {
+    name: "list_artifacts",
+    description: "List workflow artifacts for a repository or a single run",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        run_id: { type: "integer", minimum: 1 },
+        name: { type: "string", description: "Only artifacts with this name" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ["owner", "repo"]
+    },
+    readOnly: true,
+    handler: listArtifacts,
+    compactFields: ["id", "name", "size_in_bytes", "expired", "created_at", "expires_at", "workflow_run.id", "workflow_run.head_branch"]
+  },
+  {
+    name: "download_artifact",
+    description: "List the files in a workflow artifact, or read one of them",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        artifact_id: { type: "integer", minimum: 1 },
+        path: { type: "string", description: "File inside the artifact (a single-file artifact is returned directly)" },
+        max_size: { type: "integer", minimum: 1, maximum: MCP_ARTIFACT_MAX_BYTES, default: MCP_ARTIFACT_MAX_BYTES, description: "Refuse artifacts or files larger than this many bytes" }
+      },
+      required: ["owner", "repo", "artifact_id"]
+    },
+    readOnly: true,
+    handler: downloadArtifact
+  },
+  {
+    name: "graphql_query",
+    description: "Run a read-only GitHub GraphQL query, optionally paging through one connection",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "GraphQL query document" },
+        variables: { type: "object", additionalProperties: {}, description: "Query variables" },
+        operation_name: { type: "string", description: "Operation to run when the document has several" },
+        connection_path: {
+          type: "string",
+          description: "Dotted path to a connection in data, e.g. repository.issues. The query must take $cursor and select pageInfo { hasNextPage endCursor }"
+        },
+        cursor: { type: "string", description: "next_cursor from a previous call (with connection_path)" },
+        all: { type: "boolean", default: false, description: "Follow the connection to the end, up to 1000 nodes" },
+        max_items: { type: "integer", minimum: 1, maximum: MAX_PAGINATED_ITEMS, description: "Follow the connection until this many nodes are collected" }
+      },
+      required: ["query"]
+    },
+    readOnly: true,
+    repositories: anyRepository,
+    handler: graphqlQuery
+  },
+  {
+    name: "pull_request_dashboard",
+    description: "Pull requests with their review decision, reviewers and CI status in one call",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Repository owner" },
+        repo: { type: "string", description: "Repository name" },
+        state: { type: "string", enum: ["open", "closed", "merged"], default: "open" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        cursor: { type: "string", description: "next_cursor from a previous call" },
+        all: { type: "boolean", default: false, description: "Fetch every pull request, up to 1000" },
+        max_items: { type: "integer", minimum: 1, maximum: MAX_PAGINATED_ITEMS, description: "Keep fetching pages until this many are collected" }
+      },
+      required: ["owner", "repo"]
+    },
+    readOnly: true,
+    handler: pullRequestDashboard,
+    compactFields: ["number", "title", "author", "draft", "review_decision", "reviews", "requested_reviewers", "checks", "mergeable", "updated_at"]
+  },
+  {
+    name: "list_project_items",
+    description: "List the items of a Projects (v2) board with their field values",
+    inputSchema: {
+      type: "object",
+      properties: {
+        owner: { type: "string", description: "Organization or user that owns the project" },
+        owner_type: { type: "string", enum: ["organization", "user"], default: "organization" },
+        project_number: { type: "integer", minimum: 1, description: "Number from the project's URL" },
+        per_page: { type: "integer", minimum: 1, maximum: 100, default: 30 },
+        cursor: { type: "string", description: "next_cursor from a previous call" },
+        all: { type: "boolean", default: false, description: "Fetch every item, up to 1000" },
+        max_items: { type: "integer", minimum: 1, maximum: MAX_PAGINATED_ITEMS, description: "Keep fetching pages until this many are collected" }
+      },
+      required: ["owner", "project_number"]
+    },
+    readOnly: true,
+    repositories: anyRepository,
+    handler: listProjectItems
+  },
+  {
+    name: "list_webhook_events",
+    description: "List recent GitHub webhook events received by this server, newest first",
+    inputSchema: {
+      type: "object",
+      properties: {
+        repo: { type: "string", pattern: "^[\\w.-]+/[\\w.-]+$", description: "Only events for this repository (owner/name)" },
+        event: { type: "array", items: { type: "string" }, description: "Event types, e.g. issues, pull_request, check_run" },
+        action: { type: "string", description: "Event action, e.g. opened or completed" },
+        since: { type: "string", pattern: ISO_DATE_PATTERN, description: "Only events received at or after this ISO 8601 time" },
+        limit: { type: "integer", minimum: 1, maximum: WEBHOOK_MAX_EVENTS, default: 50 },
+        include_payload: { type: "boolean", default: false, description: "Include each event's full payload" }
+      },
+      required: []
+    },
+    readOnly: true,
+    repositories: args => (args.repo ? [args.repo] : null),
+    handler: listWebhookEvents
+  },
+  {
+    name: "subscribe_webhook_events",
+    description: "Receive notifications for webhook events on repositories during this MCP session",
+    inputSchema: {
+      type: "object",
+      properties: {
+        repos: { type: "array", items: { type: "string", pattern: "^[\\w.-]+/[\\w.-]+$" }, description: "Repositories (owner/name); an empty list unsubscribes" },
+        events: { type: "array", items: { type: "string" }, default: [], description: "Event types to notify about (all by default)" }
+      },
+      required: ["repos"]
+    },
+    readOnly: true,
+    repositories: args => args.repos,
+    handler: subscribeWebhookEvents
+  }
+];
+
+const TOOL_REGISTRY = new Map(GITHUB_TOOLS.map(tool => [tool.name, {
+  ...tool,
+  inputSchema: {
+    ...tool.inputSchema,
+    properties: { ...tool.inputSchema.properties, ...OUTPUT_PROPERTIES },
+  },
+}]));
+
+// MCP tool policies
+// Limit what MCP clients can do with the GitHub token behind them: a read-only mode, allow and
+// deny lists of tool names, and owner/repo glob patterns for the repositories they may touch.
+// The global policy from the environment applies to every caller, and an API key can carry
+// its own on top; a call has to pass both.
+
+// Glob where * matches any run of characters except "/", compared case-insensitively like
+// GitHub names
+function globPattern(glob) {
+  const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesAnyGlob(globs, value) {
+  return globs.some(glob => globPattern(glob).test(value));
+}
+
+// Validate a policy given as { read_only, allowed_tools, denied_tools, repositories }, where the
+// lists are arrays or comma-separated strings. Returns the stored form, or null when the policy
+// restricts nothing.
+function parseToolPolicy(input) {
+  const listOf = (value, field) => {
+    if (value === undefined || value === null || value === '') return [];
+    const list = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+      throw new Error(`${field} must be a list of names`);
+    }
+    return list.map(item => item.trim()).filter(Boolean);
+  };
+  
+  const allowedTools = listOf(input.allowed_tools, 'allowed_tools');
+  const deniedTools = listOf(input.denied_tools, 'denied_tools');
+  const repositories = listOf(input.repositories, 'repositories');
+  
+  for (const name of [...allowedTools, ...deniedTools]) {
+    if (!name.includes('*') && !TOOL_REGISTRY.has(name)) {
+      throw new Error(`Unknown tool in policy: ${name}`);
+    }
+  }
+  for (const pattern of repositories) {
+    if (!/^[\w.*-]+\/[\w.*-]+$/.test(pattern)) {
+      throw new Error(`Repositories must be owner/repo patterns, optionally with * wildcards: ${pattern}`);
+    }
+  }
+  
+  const policy = {
+    readOnly: input.read_only === true || input.read_only === 'true',
+    allowedTools: allowedTools.length ? allowedTools : null,
+    deniedTools,
+    repositories: repositories.length ? repositories : null,
+  };
+  return policy.readOnly || policy.allowedTools || policy.deniedTools.length || policy.repositories ? policy : null;
+}
+
+const GLOBAL_TOOL_POLICY = parseToolPolicy({
+  read_only: process.env.MCP_READ_ONLY,
+  allowed_tools: process.env.MCP_ALLOWED_TOOLS,
+  denied_tools: process.env.MCP_DENIED_TOOLS,
+  repositories: process.env.MCP_ALLOWED_REPOSITORIES,
+});
+
+// The policies a caller is held to, given its API key record (if any)
+function toolPolicies(apiKey) {
+  return [GLOBAL_TOOL_POLICY, apiKey?.policy].filter(Boolean);
+}
+
+function isReadOnlyTool(tool) {
+  return tool.http ? (tool.http.method || 'GET') === 'GET' : tool.readOnly === true;
+}
+
+// For tools that can reach any repository, such as graphql_query; they are hidden from
+// callers limited to some repositories
+function anyRepository() {
+  return null;
+}
+
+// A search stays in one repository only when that is its sole scope qualifier
+function searchRepositories(args) {
+  if (!args.repo || args.org || args.user || /(^|\s)-?(repo|org|user):/i.test(args.query || '')) return null;
+  return [args.repo];
+}
+
+// The repositories (owner/name) a call touches, or null when the arguments don't limit it
+function toolRepositories(tool, args) {
+  if (tool.repositories) return tool.repositories(args);
+  return args.owner && args.repo ? [`${args.owner}/${args.repo}`] : null;
+}
+
+function toolPolicyError(message) {
+  const error = new Error(`Denied by tool policy: ${message}`);
+  error.code = 'POLICY_DENIED';
+  return error;
+}
+
+// Why a policy rules out a tool whatever its arguments, or null
+function toolDenialReason(policy, tool) {
+  if (policy.readOnly && !isReadOnlyTool(tool)) {
+    return `${tool.name} makes changes and only read-only tools are allowed`;
+  }
+  if (policy.allowedTools && !matchesAnyGlob(policy.allowedTools, tool.name)) {
+    return `${tool.name} is not one of the allowed tools`;
+  }
+  if (matchesAnyGlob(policy.deniedTools, tool.name)) {
+    return `${tool.name} is denied`;
+  }
+  if (policy.repositories && tool.repositories === anyRepository) {
+    return `${tool.name} can reach any repository, and only some repositories are allowed`;
+  }
+  return null;
+}
+
+function isToolAllowed(policies, tool) {
+  return policies.every(policy => !toolDenialReason(policy, tool));
+}
+
+function checkToolAllowed(policies, tool) {
+  for (const policy of policies) {
+    const reason = toolDenialReason(policy, tool);
+    if (reason) throw toolPolicyError(reason);
+  }
+}
+
+function isRepositoryAllowed(policies, fullName) {
+  return policies.every(policy => !policy.repositories || matchesAnyGlob(policy.repositories, fullName));
+}
+
+function checkRepositoryAllowed(policies, fullName) {
+  if (!isRepositoryAllowed(policies, fullName)) {
+    throw toolPolicyError(`${fullName} is not one of the allowed repositories`);
+  }
+}
+
+// Throws a POLICY_DENIED error unless every policy allows the repositories a call touches
+function checkToolRepositories(policies, tool, args) {
+  if (!policies.some(policy => policy.repositories)) return;
+  
+  const repositories = toolRepositories(tool, args);
+  if (!repositories) {
+    throw toolPolicyError(`${tool.name} must be limited to a repository; pass one in its arguments`);
+  }
+  repositories.forEach(fullName => checkRepositoryAllowed(policies, fullName));
+}
+
+// Public tool definitions for tools/list, without the dispatch details or the tools the
+// caller's policies rule out
+function listToolDefinitions(policies) {
+  return [...TOOL_REGISTRY.values()]
+    .filter(tool => isToolAllowed(policies, tool))
+    .map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+      annotations: { readOnlyHint: isReadOnlyTool(tool) },
+    }));
+}
+
+// MCP Tools List - Returns available GitHub tools
+app.post('/mcp/tools/list', authenticateMCP, (req, res) => {
+  res.json({ tools: listToolDefinitions(toolPolicies(req.apiKey)) });
+});
+
+// Wraps MCP content items returned by a handler so they skip output formatting
+const TOOL_CONTENT = Symbol('toolContent');
+
+function toolContent(content) {
+  return { [TOOL_CONTENT]: content };
+}
+
+// Errors raised for bad tool calls, as opposed to GitHub API failures
+function toolInputError(message, errors = []) {
+  const error = new Error(message);
+  error.code = 'INVALID_ARGUMENTS';
+  error.errors = errors;
+  return error;
+}
+
+function unknownToolError(name) {
+  const error = new Error(`Unknown tool: ${name}`);
+  error.code = 'UNKNOWN_TOOL';
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validate a value against the subset of JSON Schema used by the tool definitions,
+// coercing the string forms that query strings and form inputs produce.
+// Problems are pushed onto `errors` as { field, message }; returns the coerced value.
+function validateSchemaValue(schema, value, field, errors) {
+  if (value === undefined) {
+    return schema.default === undefined ? undefined : structuredClone(schema.default);
+  }
+  
+  const fail = (message) => {
+    errors.push({ field: field || '(arguments)', message });
+    return undefined;
+  };
+  
+  switch (schema.type) {
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+      if (typeof value !== 'string') return fail('must be a string');
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return fail(`must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return fail(`must match ${schema.pattern}`);
+      }
+      break;
+    
+    case 'number':
+    case 'integer':
+      if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+      if (schema.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        return fail(`must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        return fail(`must be <= ${schema.maximum}`);
+      }
+      break;
+    
+    case 'boolean':
+      if (value === 'true') value = true;
+      else if (value === 'false') value = false;
+      if (typeof value !== 'boolean') return fail('must be a boolean');
+      break;
+    
+    case 'array': {
+      // Comma-separated strings are accepted for arrays, e.g. labels=bug,docs
+      if (typeof value === 'string') {
+        value = value.split(',').map(item => item.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return fail(`must contain at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return fail(`must contain at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value = value.map((item, index) => validateSchemaValue(schema.items, item, `${field}[${index}]`, errors));
+      }
+      break;
+    }
+    
+    case 'object': {
+      if (!isPlainObject(value)) return fail('must be an object');
+      const result = {};
+      
+      for (const name of schema.required || []) {
+        if (value[name] === undefined || value[name] === null || value[name] === '') {
+          errors.push({ field: field ? `${field}.${name}` : name, message: 'is required' });
+        }
+      }
+      
+      // Only declared properties are passed on to the handler. Empty form inputs count as
+      // missing, except for strings where "" can be a real value (e.g. an empty file)
+      for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        const empty = value[name] === null || (value[name] === '' && propertySchema.type !== 'string');
+        const raw = empty ? undefined : value[name];
+        const coerced = validateSchemaValue(propertySchema, raw, field ? `${field}.${name}` : name, errors);
+        if (coerced !== undefined) result[name] = coerced;
+      }
+      
+      if (isPlainObject(schema.additionalProperties)) {
+        // Free-form maps such as workflow inputs keep undeclared keys, validated against this schema
+        for (const [name, item] of Object.entries(value)) {
+          if (schema.properties?.[name]) continue;
+          const coerced = validateSchemaValue(schema.additionalProperties, item, field ? `${field}.${name}` : name, errors);
+          if (coerced !== undefined) result[name] = coerced;
+        }
+      } else if (schema.additionalProperties === false) {
+        for (const name of Object.keys(value)) {
+          if (!schema.properties?.[name]) {
+            errors.push({ field: field ? `${field}.${name}` : name, message: 'is not a recognized argument' });
+          }
+        }
+      }
+      
+      value = result;
+      break;
+    }
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+  
+  return value;
+}
+
+function validateToolArguments(tool, args) {
+  const errors = [];
+  const value = validateSchemaValue(tool.inputSchema, args ?? {}, '', errors);
+  
+  if (errors.length) {
+    const summary = errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+    throw toolInputError(`Invalid arguments for ${tool.name}: ${summary}`, errors);
+  }
+  
+  return value;
+}
+
+// Expand a tool's path template, encoding every value so that arguments can't
+// change which endpoint is called
+function expandToolPath(template, args) {
+  return template.replace(/\{(\+?)(\w+)\}/g, (match, reserved, name) => {
+    const value = String(args[name]);
+    if (!reserved) return encodeURIComponent(value);
+    
+    const segments = value.split('/').filter(Boolean);
+    if (segments.some(segment => segment === '.' || segment === '..')) {
+      throw toolInputError(`Invalid arguments: ${name} must not contain . or .. segments`, [
+        { field: name, message: 'must not contain . or .. segments' },
+      ]);
+    }
+    return segments.map(encodeURIComponent).join('/');
+  });
+}
+
+// Parse a Link header into { rel: url }
+function parseLinkHeader(header) {
+  const links = {};
+  for (const part of (header || '').split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) links[match[2]] = match[1];
+  }
+  return links;
+}
+
+// Turn an absolute API URL back into an endpoint for callGitHubAPI, or null if it
+// points anywhere other than the GitHub API
+function toApiEndpoint(url) {
+  const target = new URL(url, GITHUB_API_BASE);
+  if (target.origin !== new URL(GITHUB_API_BASE).origin) return null;
+  return target.pathname.slice(1) + target.search;
+}
+
+// Cursors are opaque to clients: the next page's endpoint plus how many of its items
+// were already returned
+function encodePageCursor(endpoint, skip) {
+  return Buffer.from(JSON.stringify({ endpoint, skip })).toString('base64url');
+}
+
+function decodePageCursor(cursor, baseEndpoint) {
+  const invalid = () => toolInputError('Invalid arguments: cursor is not a valid continuation cursor', [
+    { field: 'cursor', message: 'is not a valid continuation cursor' },
+  ]);
+  
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw invalid();
+  }
+  
+  // A cursor may only continue the listing it came from
+  const endpoint = typeof decoded?.endpoint === 'string' ? toApiEndpoint(decoded.endpoint) : null;
+  if (!endpoint || !Number.isInteger(decoded.skip) || decoded.skip < 0 ||
+      new URL(endpoint, GITHUB_API_BASE).pathname !== new URL(baseEndpoint, GITHUB_API_BASE).pathname) {
+    throw invalid();
+  }
+  return { endpoint, skip: decoded.skip };
+}
+
+// Items on one page: list endpoints return an array, search and Actions endpoints
+// wrap it in an object under `itemsKey`
+function pageItems(data, itemsKey) {
+  if (Array.isArray(data)) return data;
+  return Array.isArray(data?.[itemsKey]) ? data[itemsKey] : [];
+}
+
+// Fetch one page, or follow rel="next" links when `all` or `max_items` is set.
+// Returns a next_cursor whenever more items remain. For wrapped responses, the first page's
+// other fields (e.g. total_count) are kept alongside the items.
+async function collectPages(token, firstEndpoint, args, itemsKey = 'items', options = {}) {
+  let endpoint = firstEndpoint;
+  let skip = 0;
+  const limit = args.all ? MAX_PAGINATED_ITEMS : args.max_items;
+  
+  if (args.cursor) {
+    ({ endpoint, skip } = decodePageCursor(args.cursor, firstEndpoint));
+  } else if (limit) {
+    // Walking many pages: use the largest page size the API allows, or less if fewer items are wanted
+    const first = new URL(endpoint, GITHUB_API_BASE);
+    first.searchParams.set('per_page', Math.min(100, limit));
+    endpoint = toApiEndpoint(first);
+  }
+  
+  const items = [];
+  let summary = null;
+  while (endpoint) {
+    const response = await requestGitHub(token, endpoint, 'GET', null, options);
+    if (!summary && isPlainObject(response.data)) {
+      const { [itemsKey]: pageList, ...rest } = response.data;
+      summary = rest;
+    }
+    const remaining = pageItems(response.data, itemsKey).slice(skip);
+    const room = (limit ?? remaining.length) - items.length;
+    
+    items.push(...remaining.slice(0, room));
+    if (room < remaining.length) {
+      return { ...summary, items, next_cursor: encodePageCursor(endpoint, skip + room) };
+    }
+    
+    const next = parseLinkHeader(response.headers.link).next;
+    endpoint = next ? toApiEndpoint(next) : null;
+    skip = 0;
+    if (!limit || items.length >= limit) break;
+  }
+  
+  return endpoint ? { ...summary, items, next_cursor: encodePageCursor(endpoint, 0) } : { ...summary, items };
+}
+
+// Default handler for tools declared with an `http` mapping
+async function callHttpTool(token, { method = 'GET', path, query = [], body, paginate }, args) {
+  let endpoint = expandToolPath(path, args);
+  
+  const params = new URLSearchParams();
+  for (const name of query) {
+    if (args[name] !== undefined) params.append(name, args[name]);
+  }
+  if (params.size) endpoint += `?${params}`;
+  
+  let data = null;
+  if (body) {
+    data = {};
+    for (const name of body) {
+      if (args[name] !== undefined) data[name] = args[name];
+    }
+  }
+  
+  if (paginate) {
+    return collectPages(token, endpoint, args, paginate === true ? undefined : paginate);
+  }
+  const result = await callGitHubAPI(token, endpoint, method, data);
+  // 204 No Content (deletes, locks) and the empty objects of accepted Actions requests have no body to show
+  const empty = result === '' || (isPlainObject(result) && !Object.keys(result).length);
+  return empty ? { success: true } : result;
+}
+
+// Keep only the given dotted field paths of a value, mapping over arrays
+function projectFields(value, paths) {
+  if (Array.isArray(value)) return value.map(item => projectFields(item, paths));
+  if (!isPlainObject(value)) return value;
+  
+  const nested = new Map();
+  for (const path of paths) {
+    const [head, ...rest] = path.split('.');
+    if (!nested.has(head)) nested.set(head, []);
+    // A bare field keeps the whole value, even if nested paths under it were also asked for
+    nested.get(head).push(rest.length ? rest.join('.') : null);
+  }
+  
+  const result = {};
+  for (const [head, subpaths] of nested) {
+    if (value[head] === undefined) continue;
+    result[head] = subpaths.includes(null) ? value[head] : projectFields(value[head], subpaths);
+  }
+  return result;
+}
+
+// List results carry their items under `items`; anything else is a single resource
+function mapResultItems(result, fn) {
+  if (Array.isArray(result)) return fn(result);
+  if (isPlainObject(result) && Array.isArray(result.items)) return { ...result, items: fn(result.items) };
+  return fn(result);
+}
+
+function formatMarkdownValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatMarkdownValue).join(', ');
+  if (isPlainObject(value)) {
+    const entries = Object.values(value);
+    return entries.length === 1 ? formatMarkdownValue(entries[0]) : JSON.stringify(value);
+  }
+  return String(value).replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+}
+
+function formatMarkdown(result) {
+  const items = Array.isArray(result) ? result : result?.items;
+  if (Array.isArray(items)) {
+    const lines = [];
+    if (items.length === 0) {
+      lines.push('_No results_');
+    } else {
+      const columns = [...new Set(items.flatMap(item => isPlainObject(item) ? Object.keys(item) : []))];
+      lines.push(`| ${columns.join(' | ')} |`, `| ${columns.map(() => '---').join(' | ')} |`);
+      for (const item of items) {
+        lines.push(`| ${columns.map(column => formatMarkdownValue(item?.[column])).join(' | ')} |`);
+      }
+    }
+    for (const [key, value] of Object.entries(Array.isArray(result) ? {} : result)) {
+      if (key !== 'items') lines.push('', `**${key}**: ${formatMarkdownValue(value)}`);
+    }
+    return lines.join('\n');
+  }
+  
+  if (!isPlainObject(result)) return formatMarkdownValue(result);
+  if (Object.keys(result).length === 0) return '_No data_';
+  return Object.entries(result)
+    .map(([key, value]) => `- **${key}**: ${formatMarkdownValue(value)}`)
+    .join('\n');
+}
+
+function renderToolOutput(tool, result, format) {
+  if (format === 'markdown') return (tool.markdown || formatMarkdown)(result);
+  return format === 'full' ? JSON.stringify(result, null, 2) : JSON.stringify(result);
+}
+
+// Cut a string to at most maxBytes of UTF-8 without splitting a character
+function truncateUtf8(text, maxBytes) {
+  const buffer = Buffer.from(text);
+  if (buffer.length <= maxBytes) return text;
+  return buffer.subarray(0, maxBytes).toString('utf8').replace(/\uFFFD$/, '');
+}
+
+// Shape a tool's raw result for an LLM: project fields, render, and enforce the byte budget
+function formatToolOutput(tool, args, result) {
+  const fields = args.fields?.length ? args.fields : (args.format !== 'full' ? tool.compactFields : null);
+  const shaped = fields ? mapResultItems(result, value => projectFields(value, fields)) : result;
+  
+  const text = renderToolOutput(tool, shaped, args.format);
+  if (Buffer.byteLength(text) <= args.max_bytes) return text;
+  
+  // For lists, drop whole items from the end so the output stays well-formed
+  const items = Array.isArray(shaped) ? shaped : shaped?.items;
+  if (Array.isArray(items) && items.length > 1) {
+    const withItems = count => Array.isArray(shaped) ? items.slice(0, count) : { ...shaped, items: items.slice(0, count) };
+    let low = 0;
+    let high = items.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (Buffer.byteLength(renderToolOutput(tool, withItems(mid), args.format)) <= args.max_bytes - 300) low = mid;
+      else high = mid - 1;
+    }
+    if (low > 0) {
+      return `${renderToolOutput(tool, withItems(low), args.format)}\n\n` +
+        `[Output truncated: showing ${low} of ${items.length} items to stay within max_bytes=${args.max_bytes}. ` +
+        `${tool.truncationHint || 'Request fewer fields or fewer items per call to see the rest.'}]`;
+    }
+  }
+  
+  return `${truncateUtf8(text, args.max_bytes - 200)}\n\n` +
+    `[Output truncated at ${args.max_bytes} bytes; the full result was ${Buffer.byteLength(text)} bytes. ` +
+    `${tool.truncationHint || 'Use fields to select less data.'}]`;
+}
+
+// Execute a GitHub tool and return an MCP tool result
+// session is the MCP session the call arrived on, if any; handlers that keep per-session
+// state (webhook subscriptions) need it. policies come from toolPolicies().
+async function executeTool(token, name, args, session = null, policies = toolPolicies(null)) {
+  const tool = TOOL_REGISTRY.get(name);
+  if (!tool) {
+    throw unknownToolError(name);
+  }
+  
+  checkToolAllowed(policies, tool);
+  const validArgs = validateToolArguments(tool, args);
+  checkToolRepositories(policies, tool, validArgs);
+  const result = tool.handler
+    ? await tool.handler(token, validArgs, session)
+    : await callHttpTool(token, tool.http, validArgs);
+  
+  if (result?.[TOOL_CONTENT]) {
+    return { content: result[TOOL_CONTENT] };
+  }
+  return { content: [{ type: 'text', text: formatToolOutput(tool, validArgs, result) }] };
+}
+
+// MCP Tool Call - Execute a specific tool
+app.post('/mcp/tools/call', authenticateMCP, async (req, res) => {
+  const { name, arguments: args } = req.body;
+  
+  if (!name) {
+    return res.status(400).json({ error: 'Tool name is required' });
+  }
+  
+  try {
+    res.json(await executeTool(req.token, name, args, null, toolPolicies(req.apiKey)));
+    
+  } catch (error) {
+    if (error.code === 'POLICY_DENIED') {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error.code === 'INVALID_ARGUMENTS') {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    if (error.code === 'UNKNOWN_TOOL') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'CONFLICT') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.code === 'RATE_LIMITED') {
+      res.setHeader('Retry-After', Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000)));
+      return res.status(429).json({ error: error.message, retry_at: new Date(error.retryAt).toISOString() });
+    }
+    console.error('Tool execution error:', error);
+    res.status(500).json({ 
+      error: 'Tool execution failed',
+      details: error.message 
+    });
+  }
+});
+
+// MCP resources
+// Read-only GitHub content that clients can attach as context without calling tools.
+// Fixed resources come from resources/list, parameterized ones from resources/templates/list.
+const MCP_RESOURCE_MAX_BYTES = parseInt(process.env.MCP_RESOURCE_MAX_BYTES || '5242880', 10);
+const TEXT_MIME_TYPES = {
+  md: 'text/markdown', markdown: 'text/markdown', txt: 'text/plain', html: 'text/html', htm: 'text/html',
+  css: 'text/css', csv: 'text/csv', js: 'text/javascript', mjs: 'text/javascript', cjs: 'text/javascript',
+  jsx: 'text/javascript', ts: 'text/x-typescript', tsx: 'text/x-typescript', json: 'application/json',
+  xml: 'application/xml', svg: 'image/svg+xml', yml: 'application/yaml', yaml: 'application/yaml',
+  toml: 'application/toml', sh: 'application/x-sh', py: 'text/x-python', rb: 'text/x-ruby', go: 'text/x-go',
+  rs: 'text/x-rust', java: 'text/x-java', c: 'text/x-c', h: 'text/x-c', cpp: 'text/x-c++',
+};
+
+function resourceNotFoundError(uri) {
+  const error = new Error(`Resource not found: ${uri}`);
+  error.code = 'RESOURCE_NOT_FOUND';
+  return error;
+}
+
+function jsonResource(uri, data) {
+  return [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }];
+}
+
+async function readFileResource(token, params, uri) {
+  const args = { owner: params.owner, repo: params.repo, ref: params.ref };
+  const file = await callGitHubAPI(token, contentsEndpoint(args, params.path));
+  if (Array.isArray(file) || file.type !== 'file') throw resourceNotFoundError(uri);
+  if (file.size > MCP_RESOURCE_MAX_BYTES) {
+    throw toolInputError(`${file.path} is larger than the ${formatByteSize(MCP_RESOURCE_MAX_BYTES)} resource limit`);
+  }
+  
+  const buffer = await fileContentBuffer(token, args, file);
+  const extension = path.extname(file.path).slice(1).toLowerCase();
+  const text = decodeTextContent(buffer);
+  if (text !== null) {
+    return [{ uri, mimeType: TEXT_MIME_TYPES[extension] || 'text/plain', text }];
+  }
+  return [{ uri, mimeType: BINARY_MIME_TYPES[extension] || 'application/octet-stream', blob: buffer.toString('base64') }];
+}
+
+// An issue and the first 100 comments of its thread as Markdown
+async function readIssueResource(token, params, uri) {
+  const endpoint = expandToolPath('repos/{owner}/{repo}/issues/{number}', params);
+  const issue = await callGitHubAPI(token, endpoint);
+  const { items: comments } = await collectPages(token, `${endpoint}/comments?per_page=100`, {});
+  
+  const state = issue.state_reason ? `${issue.state} (${issue.state_reason})` : issue.state;
+  const lines = [
+    `# ${issue.title} (#${issue.number})`,
+    '',
+    `**State:** ${state} · **Author:** @${issue.user?.login ?? 'ghost'} · **Created:** ${issue.created_at}`,
+  ];
+  if (issue.labels?.length) lines.push(`**Labels:** ${issue.labels.map(label => label.name ?? label).join(', ')}`);
+  if (issue.assignees?.length) lines.push(`**Assignees:** ${issue.assignees.map(user => `@${user.login}`).join(', ')}`);
+  if (issue.milestone) lines.push(`**Milestone:** ${issue.milestone.title}`);
+  lines.push('', issue.body || '_No description provided._');
+  
+  if (comments.length) {
+    lines.push('', '## Comments');
+    for (const comment of comments) {
+      lines.push('', `### @${comment.user?.login ?? 'ghost'} on ${comment.created_at}`, '', comment.body || '');
+    }
+  }
+  if (issue.comments > comments.length) {
+    lines.push('', `_${issue.comments - comments.length} more comments are not shown._`);
+  }
+  return [{ uri, mimeType: 'text/markdown', text: lines.join('\n') }];
+}
+
+// A pull request's description and the first 100 changed files as Markdown
+async function readPullRequestResource(token, params, uri) {
+  const endpoint = expandToolPath('repos/{owner}/{repo}/pulls/{number}', params);
+  const pull = await callGitHubAPI(token, endpoint);
+  const { items: files } = await collectPages(token, `${endpoint}/files?per_page=100`, {});
+  
+  let state = pull.merged_at ? 'merged' : pull.state;
+  if (pull.draft) state += ' (draft)';
+  const lines = [
+    `# ${pull.title} (#${pull.number})`,
+    '',
+    `**State:** ${state} · **Author:** @${pull.user?.login ?? 'ghost'} · **Created:** ${pull.created_at}`,
+    `**Branches:** ${pull.head.label} → ${pull.base.ref}`,
+    `**Changes:** +${pull.additions} −${pull.deletions} in ${pull.changed_files} files`,
+    '',
+    pull.body || '_No description provided._',
+    '',
+    '## Files changed',
+    '',
+    ...files.map(file => `- ${file.filename} (${file.status}, +${file.additions} −${file.deletions})`),
+  ];
+  if (pull.changed_files > files.length) {
+    lines.push('', `_${pull.changed_files - files.length} more files are not shown._`);
+  }
+  return [{ uri, mimeType: 'text/markdown', text: lines.join('\n') }];
+}
+
+const MCP_RESOURCES = [
+  {
+    uri: 'github://user/profile',
+    name: 'profile',
+    title: 'GitHub profile',
+    description: "The authenticated user's profile",
+    mimeType: 'application/json',
+    read: (token, params, uri) => callGitHubAPI(token, 'user').then(data => jsonResource(uri, data)),
+  },
+  {
+    uri: 'github://user/repositories',
+    name: 'repositories',
+    title: 'Repositories',
+    description: "The authenticated user's 100 most recently updated repositories",
+    mimeType: 'application/json',
+    read: (token, params, uri, policies) => callGitHubAPI(token, 'user/repos?sort=updated&per_page=100')
+      .then(data => jsonResource(uri, data.filter(repository => isRepositoryAllowed(policies, repository.full_name)))),
+  },
+];
+
+// {path} spans several segments; other variables match a single one. A ref containing "/"
+// must be percent-encoded (feature%2Fx).
+const MCP_RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'github://{owner}/{repo}/blob/{ref}/{path}',
+    name: 'file',
+    title: 'Repository file',
+    description: 'A file at a branch, tag or commit. The MIME type follows the file extension; binary files are returned as blobs',
+    read: readFileResource,
+  },
+  {
+    uriTemplate: 'github://{owner}/{repo}/issues/{number}',
+    name: 'issue',
+    title: 'Issue',
+    description: 'An issue with its comments, as Markdown',
+    mimeType: 'text/markdown',
+    read: readIssueResource,
+  },
+  {
+    uriTemplate: 'github://{owner}/{repo}/pulls/{number}',
+    name: 'pull_request',
+    title: 'Pull request',
+    description: 'A pull request with its description and changed files, as Markdown',
+    mimeType: 'text/markdown',
+    read: readPullRequestResource,
+  },
+].map(template => {
+  const names = [];
+  const pattern = template.uriTemplate
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{(\w+)\}/g, (match, name) => {
+      names.push(name);
+      return name === 'path' ? '(.+)' : '([^/]+)';
+    });
+  return { ...template, pattern: new RegExp(`^${pattern}$`), names };
+});
+
+function publicResource({ read, pattern, names, ...resource }) {
+  return resource;
+}
+
+// Resolves to the contents array of a resources/read result
+// Repository resources are held to the repository patterns of the caller's tool policies
+async function readResource(token, uri, policies = toolPolicies(null)) {
+  const fixed = MCP_RESOURCES.find(resource => resource.uri === uri);
+  if (fixed) return fixed.read(token, {}, uri, policies);
+  
+  for (const template of MCP_RESOURCE_TEMPLATES) {
+    const match = uri.match(template.pattern);
+    if (!match) continue;
+    
+    let params;
+    try {
+      params = Object.fromEntries(template.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+    } catch {
+      throw resourceNotFoundError(uri);
+    }
+    if (params.number !== undefined && !/^\d+$/.test(params.number)) throw resourceNotFoundError(uri);
+    checkRepositoryAllowed(policies, `${params.owner}/${params.repo}`);
+    return template.read(token, params, uri);
+  }
+  throw resourceNotFoundError(uri);
+}
+
+// MCP prompts
+// Parameterized instructions for common workflows. A prompt's `context` entries run tools with
+// the prompt's arguments, and their output is filled into the template with {{name}}
+// placeholders. JSON files in MCP_PROMPTS_DIR add prompts or replace built-in ones.
+const MCP_PROMPTS_DIR = process.env.MCP_PROMPTS_DIR || path.join(__dirname, 'prompts');
+const DEFAULT_REVIEW_CHECKLIST = [
+  '- Correctness: the change does what the description says, including edge cases',
+  '- Tests: new and changed code paths are covered',
+  '- Security: input validation, secrets and permissions',
+  '- Readability: naming, structure, and comments where the intent is not obvious',
+  '- Compatibility: no unannounced breaking changes to APIs, configuration or data',
+].join('\n');
+
+const BUILT_IN_PROMPTS = [
+  {
+    name: 'triage_issues',
+    title: 'Triage open issues',
+    description: 'Suggest labels, priorities and next steps for the open issues in a repository',
+    arguments: [
+      { name: 'owner', description: 'Repository owner', required: true },
+      { name: 'repo', description: 'Repository name', required: true },
+      { name: 'label', description: 'Only issues with this label' },
+      { name: 'limit', description: 'How many issues to include (default 30)', default: '30' },
+    ],
+    context: [
+      {
+        name: 'issues',
+        tool: 'search_issues',
+        arguments: { repo: '{{owner}}/{{repo}}', type: 'issue', state: 'open', label: '{{label}}', max_items: '{{limit}}', format: 'markdown' },
+      },
+    ],
+    template: [
+      'Triage the open issues in {{owner}}/{{repo}} listed below.',
+      '',
+      'For each issue, suggest:',
+      '- labels to add or remove',
+      '- a priority from P0 (urgent) to P3 (nice to have)',
+      '- a next step: close as a duplicate (name the original), ask for more information, or ready to work on',
+      '',
+      'Group the result by priority and call out anything that needs attention today.',
+      '',
+      'Open issues:',
+      '',
+      '{{issues}}',
+    ].join('\n'),
+  },
+  {
+    name: 'review_pull_request',
+    title: 'Review a pull request',
+    description: 'Review a pull request and its diff against a checklist',
+    arguments: [
+      { name: 'owner', description: 'Repository owner', required: true },
+      { name: 'repo', description: 'Repository name', required: true },
+      { name: 'pull_number', description: 'Pull request number', required: true },
+      { name: 'checklist', description: 'Review checklist, one item per line (a general checklist by default)', default: DEFAULT_REVIEW_CHECKLIST },
+    ],
+    context: [
+      {
+        name: 'pull',
+        tool: 'get_pull_request',
+        arguments: { owner: '{{owner}}', repo: '{{repo}}', pull_number: '{{pull_number}}', diff_format: 'diff', format: 'markdown' },
+      },
+    ],
+    template: [
+      'Review pull request #{{pull_number}} in {{owner}}/{{repo}} against this checklist:',
+      '',
+      '{{checklist}}',
+      '',
+      'For each checklist item, say whether the change passes and why. Then list concrete problems with file and line references, most important first. Finish with a recommendation: approve, comment or request changes.',
+      '',
+      '{{pull}}',
+    ].join('\n'),
+  },
+  {
+    name: 'release_notes',
+    title: 'Write release notes',
+    description: 'Draft release notes from the commits since a tag',
+    arguments: [
+      { name: 'owner', description: 'Repository owner', required: true },
+      { name: 'repo', description: 'Repository name', required: true },
+      { name: 'since_tag', description: 'Tag of the previous release', required: true },
+      { name: 'until', description: 'Branch, tag or commit to stop at (the default branch by default)' },
+    ],
+    context: [
+      {
+        name: 'changes',
+        tool: 'compare_commits',
+        arguments: { owner: '{{owner}}', repo: '{{repo}}', base: '{{since_tag}}', head: '{{until}}', format: 'markdown' },
+      },
+    ],
+    template: [
+      'Write release notes for {{owner}}/{{repo}} covering the changes since {{since_tag}}.',
+      '',
+      'Put breaking changes first under their own heading, then group the rest under Features, Fixes and Other changes. Write one line per change in the imperative mood and keep pull request numbers such as (#123). Leave out merge commits, version bumps and purely internal changes.',
+      '',
+      'Commits:',
+      '',
+      '{{changes}}',
+    ].join('\n'),
+  },
+];
+
+// Describes what is wrong with a prompt definition, or returns null
+function promptDefinitionError(prompt) {
+  if (!isPlainObject(prompt)) return 'must be an object';
+  if (typeof prompt.name !== 'string' || !/^[\w.-]+$/.test(prompt.name)) return 'name must be letters, digits, ".", "-" or "_"';
+  if (typeof prompt.template !== 'string') return `${prompt.name}: template must be a string`;
+  if (prompt.arguments !== undefined && (!Array.isArray(prompt.arguments) || prompt.arguments.some(argument => typeof argument?.name !== 'string'))) {
+    return `${prompt.name}: arguments must be a list of { name, description, required }`;
+  }
+  if (prompt.context !== undefined && !Array.isArray(prompt.context)) return `${prompt.name}: context must be a list`;
+  for (const entry of prompt.context || []) {
+    if (typeof entry?.name !== 'string') return `${prompt.name}: each context entry needs a name`;
+    if (!TOOL_REGISTRY.has(entry.tool)) return `${prompt.name}: unknown tool ${entry.tool} in context ${entry.name}`;
+  }
+  return null;
+}
+
+function loadPrompts() {
+  const prompts = new Map(BUILT_IN_PROMPTS.map(prompt => [prompt.name, prompt]));
+  if (!fs.existsSync(MCP_PROMPTS_DIR)) return prompts;
+  
+  for (const file of fs.readdirSync(MCP_PROMPTS_DIR).filter(name => name.endsWith('.json')).sort()) {
+    try {
+      const definitions = [].concat(JSON.parse(fs.readFileSync(path.join(MCP_PROMPTS_DIR, file), 'utf8')));
+      for (const definition of definitions) {
+        const problem = promptDefinitionError(definition);
+        if (problem) {
+          console.error(`Skipping prompt in ${file}: ${problem}`);
+          continue;
+        }
+        prompts.set(definition.name, { arguments: [], context: [], ...definition });
+      }
+    } catch (error) {
+      console.error(`Failed to load prompts from ${file}:`, error.message);
+    }
+  }
+  return prompts;
+}
+
+const MCP_PROMPTS = loadPrompts();
+
+// Prompts whose context tools the caller may use
+function listPromptDefinitions(policies) {
+  return [...MCP_PROMPTS.values()]
+    .filter(prompt => prompt.context.every(entry => isToolAllowed(policies, TOOL_REGISTRY.get(entry.tool))))
+    .map(publicPrompt);
+}
+
+function publicPrompt(prompt) {
+  return {
+    name: prompt.name,
+    title: prompt.title,
+    description: prompt.description,
+    arguments: prompt.arguments.map(({ name, description, required }) => ({ name, description, required: Boolean(required) })),
+  };
+}
+
+// Replaces {{name}} placeholders. A value that is exactly one placeholder takes the argument
+// as is and is dropped when the argument is missing, so optional tool arguments stay unset.
+function fillPromptTemplate(value, values) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{(\w+)\}\}$/);
+    if (whole) return values[whole[1]];
+    return value.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fillPromptTemplate(item, values)).filter(item => item !== undefined);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .map(([key, item]) => [key, fillPromptTemplate(item, values)])
+      .filter(([, item]) => item !== undefined));
+  }
+  return value;
+}
+
+// Resolves to a prompts/get result with the context tools' output filled in; the tool calls
+// are held to the caller's policies
+async function getPrompt(token, name, args, session, policies) {
+  const prompt = MCP_PROMPTS.get(name);
+  if (!prompt) throw toolInputError(`Unknown prompt: ${name}`);
+  
+  const values = {};
+  const missing = [];
+  for (const argument of prompt.arguments) {
+    const value = args?.[argument.name] ?? argument.default;
+    if (value === undefined || value === '') {
+      if (argument.required) missing.push(argument.name);
+      continue;
+    }
+    values[argument.name] = String(value);
+  }
+  if (missing.length) {
+    throw toolInputError(`Missing required prompt arguments: ${missing.join(', ')}`);
+  }
+  
+  for (const entry of prompt.context) {
+    const result = await executeTool(token, entry.tool, fillPromptTemplate(entry.arguments || {}, values), session, policies);
+    values[entry.name] = result.content.filter(item => item.type === 'text').map(item => item.text).join('\n\n');
+  }
+  
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text: fillPromptTemplate(prompt.template, values) ?? '' } }],
+  };
+}
+
+// MCP Streamable HTTP transport
+// A single /mcp endpoint speaking JSON-RPC 2.0, per the MCP specification
+const MCP_PROTOCOL_VERSION = '2025-06-18';
+const MCP_SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const MCP_SERVER_INFO = { name: 'github-mcp-web', version: '1.0.0' };
+const MCP_SESSION_TTL = 60 * 60 * 1000; // 1 hour of inactivity
+// Severity order for notifications/message; sessions pick a minimum with logging/setLevel
+const MCP_LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Comma-separated list of extra origins allowed to reach /mcp from a browser
+const MCP_ALLOWED_ORIGINS = (process.env.MCP_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Store for MCP sessions, keyed by Mcp-Session-Id
+const mcpSessions = new Map();
+
+const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002,
+};
+
+function jsonRpcError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: '2.0', id: id ?? null, error };
+}
+
+function jsonRpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function isJsonRpcRequest(message) {
+  return typeof message.method === 'string' && message.id !== undefined && message.id !== null;
+}
+
+function isJsonRpcNotification(message) {
+  return typeof message.method === 'string' && (message.id === undefined || message.id === null);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Reject cross-origin browser requests to guard against DNS rebinding
+function isAllowedOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  
+  try {
+    if (new URL(origin).host === req.headers.host) return true;
+  } catch {
+    return false;
+  }
+  
+  return MCP_ALLOWED_ORIGINS.includes(origin);
+}
+
+// Turn a tool failure into an MCP tool result the model can read
+function toolErrorResult(error) {
+  if (error.code === 'RATE_LIMITED') {
+    return {
+      content: [{ type: 'text', text: error.message }],
+      structuredContent: { error: 'rate_limited', retry_at: new Date(error.retryAt).toISOString() },
+      isError: true,
+    };
+  }
+  
+  if (error.code === 'CONFLICT') {
+    return { content: [{ type: 'text', text: error.message }], isError: true };
+  }
+  
+  if (error.code === 'POLICY_DENIED') {
+    return { content: [{ type: 'text', text: error.message }], structuredContent: { error: 'policy_denied' }, isError: true };
+  }
+  
+  const status = error.response?.status;
+  const message = error.response?.data?.message || error.message;
+  const text = status
+    ? `GitHub API error (${status}): ${message}`
+    : `Tool execution failed: ${message}`;
+  
+  return { content: [{ type: 'text', text }], isError: true };
+}
+
+// Dispatch a single JSON-RPC request to its MCP handler
+// policies are the caller's tool policies, from toolPolicies()
+async function handleMcpRequest(message, session, token, policies) {
+  const { id, method, params } = message;
+  
+  switch (method) {
+    case 'initialize': {
+      const requested = params?.protocolVersion;
+      const protocolVersion = MCP_SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+        ? requested
+        : MCP_PROTOCOL_VERSION;
+      
+      session.protocolVersion = protocolVersion;
+      session.clientInfo = params?.clientInfo || null;
+      session.clientCapabilities = params?.capabilities || {};
+      
+      return jsonRpcResult(id, {
+        protocolVersion,
+        capabilities: {
+          tools: { listChanged: false },
+          resources: { subscribe: false, listChanged: false },
+          prompts: { listChanged: false },
+          logging: {},
+        },
+        serverInfo: MCP_SERVER_INFO,
+        instructions: 'Tools and resources for the GitHub API, authenticated as the connected GitHub user.',
+      });
+    }
     
-    switch (name) {
-      case 'get_user':
-        result = await callGitHubAPI(req.token, 'user');
-        break;
-        
-      case 'list_repositories':
-        const repoParams = new URLSearchParams();
-        if (args?.type) repoParams.append('type', args.type);
-        if (args?.sort) repoParams.append('sort', args.sort);
-        if (args?.per_page) repoParams.append('per_page', args.per_page);
-        result = await callGitHubAPI(req.token, `user/repos?${repoParams}`);
-        break;
-        
-      case 'get_repository':
-        if (!args?.owner || !args?.repo) {
-          return res.status(400).json({ error: 'owner and repo are required' });
-        }
-        result = await callGitHubAPI(req.token, `repos/${args.owner}/${args.repo}`);
-        break;
-        
-      case 'list_issues':
-        if (!args?.owner || !args?.repo) {
-          return res.status(400).json({ error: 'owner and repo are required' });
+    case 'ping':
+      return jsonRpcResult(id, {});
+    
+    case 'tools/list':
+      return jsonRpcResult(id, { tools: listToolDefinitions(policies) });
+    
+    case 'resources/list':
+      return jsonRpcResult(id, { resources: MCP_RESOURCES.map(publicResource) });
+    
+    case 'resources/templates/list':
+      return jsonRpcResult(id, { resourceTemplates: MCP_RESOURCE_TEMPLATES.map(publicResource) });
+    
+    case 'resources/read': {
+      if (!params?.uri || typeof params.uri !== 'string') {
+        return jsonRpcError(id, JSONRPC_ERRORS.INVALID_PARAMS, 'Resource uri is required');
+      }
+      
+      try {
+        return jsonRpcResult(id, { contents: await readResource(token, params.uri, policies) });
+      } catch (error) {
+        if (error.code === 'RESOURCE_NOT_FOUND' || error.response?.status === 404) {
+          return jsonRpcError(id, JSONRPC_ERRORS.RESOURCE_NOT_FOUND, 'Resource not found', { uri: params.uri });
         }
-        const issueParams = new URLSearchParams();
-        if (args?.state) issueParams.append('state', args.state);
-        if (args?.per_page) issueParams.append('per_page', args.per_page);
-        result = await callGitHubAPI(req.token, `repos/${args.owner}/${args.repo}/issues?${issueParams}`);
-        break;
-        
-      case 'create_issue':
-        if (!args?.owner || !args?.repo || !args?.title) {
-          return res.status(400).json({ error: 'owner, repo, and title are required' });
+        if (error.code === 'INVALID_ARGUMENTS' || error.code === 'POLICY_DENIED') {
+          return jsonRpcError(id, JSONRPC_ERRORS.INVALID_PARAMS, error.message);
         }
-        result = await callGitHubAPI(req.token, `repos/${args.owner}/${args.repo}/issues`, 'POST', {
-          title: args.title,
-          body: args.body || '',
-          labels: args.labels || []
-        });
-        break;
-        
-      case 'list_pull_requests':
-        if (!args?.owner || !args?.repo) {
-          return res.status(400).json({ error: 'owner and repo are required' });
+        console.error('MCP resource read error:', error.response?.data || error.message);
+        const { content, structuredContent } = toolErrorResult(error);
+        return jsonRpcError(id, JSONRPC_ERRORS.INTERNAL_ERROR, content[0].text, structuredContent);
+      }
+    }
+    
+    case 'prompts/list':
+      return jsonRpcResult(id, { prompts: listPromptDefinitions(policies) });
+    
+    case 'prompts/get': {
+      if (!params?.name || typeof params.name !== 'string') {
+        return jsonRpcError(id, JSONRPC_ERRORS.INVALID_PARAMS, 'Prompt name is required');
+      }
+      
+      try {
+        return jsonRpcResult(id, await getPrompt(token, params.name, params.arguments, session, policies));
+      } catch (error) {
+        if (error.code === 'INVALID_ARGUMENTS' || error.code === 'UNKNOWN_TOOL' || error.code === 'POLICY_DENIED') {
+          return jsonRpcError(id, JSONRPC_ERRORS.INVALID_PARAMS, error.message, error.errors?.length ? { errors: error.errors } : undefined);
         }
-        const prParams = new URLSearchParams();
-        if (args?.state) prParams.append('state', args.state);
-        if (args?.per_page) prParams.append('per_page', args.per_page);
-        result = await callGitHubAPI(req.token, `repos/${args.owner}/${args.repo}/pulls?${prParams}`);
-        break;
-        
-      case 'get_file_contents':
-        if (!args?.owner || !args?.repo || !args?.path) {
-          return res.status(400).json({ error: 'owner, repo, and path are required' });
+        console.error('MCP prompt error:', error.response?.data || error.message);
+        const { content, structuredContent } = toolErrorResult(error);
+        return jsonRpcError(id, JSONRPC_ERRORS.INTERNAL_ERROR, content[0].text, structuredContent);
+      }
+    }
+    
+    case 'logging/setLevel':
+      if (!MCP_LOG_LEVELS.includes(params?.level)) {
+        return jsonRpcError(id, JSONRPC_ERRORS.INVALID_PARAMS, `level must be one of: ${MCP_LOG_LEVELS.join(', ')}`);
+      }
+      session.logLevel = params.level;
+      return jsonRpcResult(id, {});
+    
+    case 'tools/call': {
+      if (!params?.name || typeof params.name !== 'string') {
+        return jsonRpcError(id, JSONRPC_ERRORS.INVALID_PARAMS, 'Tool name is required');
+      }
+      
+      try {
+        return jsonRpcResult(id, await executeTool(token, params.name, params.arguments || {}, session, policies));
+      } catch (error) {
+        if (error.code === 'UNKNOWN_TOOL') {
+          return jsonRpcError(id, JSONRPC_ERRORS.INVALID_PARAMS, error.message);
         }
-        const fileParams = new URLSearchParams();
-        if (args?.ref) fileParams.append('ref', args.ref);
-        result = await callGitHubAPI(req.token, `repos/${args.owner}/${args.repo}/contents/${args.path}?${fileParams}`);
-        break;
-        
-      case 'list_commits':
-        if (!args?.owner || !args?.repo) {
-          return res.status(400).json({ error: 'owner and repo are required' });
+        if (error.code === 'INVALID_ARGUMENTS') {
+          return jsonRpcResult(id, {
+            content: [{ type: 'text', text: error.message }],
+            structuredContent: { errors: error.errors },
+            isError: true,
+          });
         }
-        const commitParams = new URLSearchParams();
-        if (args?.sha) commitParams.append('sha', args.sha);
-        if (args?.per_page) commitParams.append('per_page', args.per_page);
-        result = await callGitHubAPI(req.token, `repos/${args.owner}/${args.repo}/commits?${commitParams}`);
-        break;
-        
-      default:
-        return res.status(400).json({ error: `Unknown tool: ${name}` });
+        console.error('MCP tool execution error:', error.response?.data || error.message);
+        return jsonRpcResult(id, toolErrorResult(error));
+      }
     }
     
-    res.json({ content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] });
+    default:
+      return jsonRpcError(id, JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+}
+
+// Handle client notifications; they never produce a response
+function handleMcpNotification(message, session) {
+  switch (message.method) {
+    case 'notifications/initialized':
+      session.initialized = true;
+      break;
+    
+    case 'notifications/cancelled':
+      // Tool calls are short-lived HTTP requests, nothing to abort
+      break;
     
+    default:
+      break;
+  }
+}
+
+// handleMcpRequest for the transports: anything it throws is answered with an internal
+// error instead of escaping the route as an unhandled rejection
+async function answerMcpRequest(message, session, token, policies) {
+  try {
+    return await handleMcpRequest(message, session, token, policies);
   } catch (error) {
-    console.error('Tool execution error:', error);
-    res.status(500).json({ 
-      error: 'Tool execution failed',
-      details: error.message 
-    });
+    console.error(`MCP ${message.method} error:`, error.message);
+    return jsonRpcError(message.id, JSONRPC_ERRORS.INTERNAL_ERROR, 'Internal error');
+  }
+}
+
+// Resolve and validate the session for a non-initialize MCP request
+function resolveMcpSession(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+  
+  if (!sessionId) {
+    res.status(400).json(jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Mcp-Session-Id header is required'));
+    return null;
+  }
+  
+  const session = mcpSessions.get(sessionId);
+  if (!session || session.authHash !== req.authHash) {
+    res.status(404).json(jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Session not found'));
+    return null;
+  }
+  
+  const protocolVersion = req.headers['mcp-protocol-version'];
+  if (protocolVersion && !MCP_SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    res.status(400).json(jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, `Unsupported protocol version: ${protocolVersion}`));
+    return null;
+  }
+  
+  session.lastSeen = Date.now();
+  return session;
+}
+
+const validateMcpOrigin = (req, res, next) => {
+  if (!isAllowedOrigin(req)) {
+    return res.status(403).json(jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Origin not allowed'));
+  }
+  next();
+};
+
+// MCP endpoint - JSON-RPC messages from the client
+app.post('/mcp', validateMcpOrigin, authenticateMCP, async (req, res) => {
+  const body = req.body;
+  const isBatch = Array.isArray(body);
+  const messages = isBatch ? body : [body];
+  
+  if (messages.length === 0 || messages.some(message => !message || typeof message !== 'object' || message.jsonrpc !== '2.0')) {
+    return res.status(400).json(jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC message'));
+  }
+  
+  const initializeMessage = messages.find(message => message.method === 'initialize');
+  let session;
+  
+  if (initializeMessage) {
+    if (messages.length > 1) {
+      return res.status(400).json(jsonRpcError(initializeMessage.id, JSONRPC_ERRORS.INVALID_REQUEST, 'initialize must not be part of a batch'));
+    }
+    
+    session = {
+      id: crypto.randomUUID(),
+      authHash: req.authHash,
+      initialized: false,
+      createdAt: Date.now(),
+      lastSeen: Date.now(),
+    };
+    mcpSessions.set(session.id, session);
+    res.setHeader('Mcp-Session-Id', session.id);
+  } else {
+    session = resolveMcpSession(req, res);
+    if (!session) return;
+  }
+  
+  const responses = [];
+  for (const message of messages) {
+    if (isJsonRpcRequest(message)) {
+      responses.push(await answerMcpRequest(message, session, req.token, toolPolicies(req.apiKey)));
+    } else if (isJsonRpcNotification(message)) {
+      handleMcpNotification(message, session);
+    }
+    // Responses to server-initiated requests are accepted and ignored
+  }
+  
+  if (responses.length === 0) {
+    return res.status(202).end();
+  }
+  
+  res.json(isBatch ? responses : responses[0]);
+});
+
+// MCP endpoint - server-initiated stream, which carries webhook notifications
+app.get('/mcp', validateMcpOrigin, authenticateMCP, (req, res) => {
+  if (!String(req.headers.accept || '').includes('text/event-stream')) {
+    return res.status(406).json(jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Accept must include text/event-stream'));
+  }
+  
+  const session = resolveMcpSession(req, res);
+  if (!session) return;
+  if (session.stream && !session.stream.writableEnded) {
+    return res.status(409).json(jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'A stream is already open for this session'));
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  session.stream = res;
+  
+  // An open stream keeps the session alive
+  const keepAlive = setInterval(() => {
+    session.lastSeen = Date.now();
+    res.write(': ping\n\n');
+  }, SSE_KEEPALIVE_INTERVAL);
+  
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    if (session.stream === res) delete session.stream;
+  });
+});
+
+// MCP endpoint - explicit session termination
+app.delete('/mcp', validateMcpOrigin, authenticateMCP, (req, res) => {
+  const session = resolveMcpSession(req, res);
+  if (!session) return;
+  
+  mcpSessions.delete(session.id);
+  session.stream?.end();
+  res.status(204).end();
+});
+
+// Legacy MCP HTTP+SSE transport (protocol version 2024-11-05)
+// GET /sse opens the event stream, POST /messages carries client messages
+const SSE_KEEPALIVE_INTERVAL = 25 * 1000; // 25 seconds
+
+// Store for open SSE connections, keyed by sessionId
+const sseSessions = new Map();
+
+function sendSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+function closeSseSession(sessionId) {
+  const session = sseSessions.get(sessionId);
+  if (!session) return;
+  
+  clearInterval(session.keepAlive);
+  sseSessions.delete(sessionId);
+  if (!session.res.writableEnded) {
+    session.res.end();
+  }
+}
+
+// Legacy SSE stream - announces the message endpoint, then carries responses
+app.get('/sse', validateMcpOrigin, authenticateMCP, (req, res) => {
+  const session = {
+    id: crypto.randomUUID(),
+    authHash: req.authHash,
+    initialized: false,
+    createdAt: Date.now(),
+    lastSeen: Date.now(),
+    res,
+  };
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  
+  // Comment lines keep proxies from timing out an idle stream
+  session.keepAlive = setInterval(() => {
+    res.write(': ping\n\n');
+  }, SSE_KEEPALIVE_INTERVAL);
+  
+  sseSessions.set(session.id, session);
+  sendSseEvent(res, 'endpoint', `/messages?sessionId=${session.id}`);
+  
+  req.on('close', () => {
+    closeSseSession(session.id);
+  });
+});
+
+// Legacy message endpoint - replies are delivered over the SSE stream
+app.post('/messages', validateMcpOrigin, authenticateMCP, async (req, res) => {
+  const session = sseSessions.get(req.query.sessionId);
+  if (!session || session.authHash !== req.authHash) {
+    return res.status(404).json(jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Session not found'));
+  }
+  
+  const messages = Array.isArray(req.body) ? req.body : [req.body];
+  if (messages.length === 0 || messages.some(message => !message || typeof message !== 'object' || message.jsonrpc !== '2.0')) {
+    return res.status(400).json(jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC message'));
+  }
+  
+  session.lastSeen = Date.now();
+  res.status(202).send('Accepted');
+  
+  // The 202 has gone out, so failures can only be reported on the stream
+  for (const message of messages) {
+    if (isJsonRpcRequest(message)) {
+      const response = await answerMcpRequest(message, session, req.token, toolPolicies(req.apiKey));
+      if (sseSessions.has(session.id)) {
+        sendSseEvent(session.res, 'message', response);
+      }
+    } else if (isJsonRpcNotification(message)) {
+      handleMcpNotification(message, session);
+    }
+  }
+});
+
+// Report malformed JSON on the MCP routes as a JSON-RPC parse error
+app.use(['/mcp', '/messages'], (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json(jsonRpcError(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'));
   }
+  next(err);
 });
 
-// Helper function to call GitHub API
-async function callGitHubAPI(token, endpoint, method = 'GET', data = null) {
+// GitHub rate limits
+// The remaining budget is tracked per token and rate limit resource from the X-RateLimit-*
+// headers. Once it runs low, requests are spaced out over the rest of the window; 429s and
+// secondary rate limit 403s are retried with jittered exponential backoff.
+const RATE_LIMIT_LOW_WATER_RATIO = 0.1;
+const RATE_LIMIT_MAX_WAIT = 60 * 1000; // give up rather than hold a request longer than this
+const RATE_LIMIT_MAX_RETRIES = 3;
+const RATE_LIMIT_BASE_BACKOFF = 1000;
+const rateLimitStates = new Map(); // `${tokenHash}:${resource}` -> { limit, remaining, resetAt, nextSlotAt }
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function rateLimitError(retryAt, message = 'GitHub API rate limit exceeded') {
+  const error = new Error(`${message}; retry at ${new Date(retryAt).toISOString()}`);
+  error.code = 'RATE_LIMITED';
+  error.retryAt = retryAt;
+  return error;
+}
+
+// GitHub budgets search (with a stricter limit for code search) and GraphQL separately
+// from the core REST API
+function rateLimitResource(endpoint) {
+  if (endpoint.startsWith('search/code')) return 'code_search';
+  if (endpoint.startsWith('search/')) return 'search';
+  if (endpoint.startsWith('graphql')) return 'graphql';
+  return 'core';
+}
+
+function rateLimitState(token, resource) {
+  const key = `${hashToken(token)}:${resource}`;
+  let state = rateLimitStates.get(key);
+  if (!state) {
+    state = { limit: undefined, remaining: undefined, resetAt: 0, nextSlotAt: 0 };
+    rateLimitStates.set(key, state);
+  }
+  return state;
+}
+
+function recordRateLimit(token, endpoint, headers = {}) {
+  if (headers['x-ratelimit-remaining'] === undefined) return;
+  const state = rateLimitState(token, headers['x-ratelimit-resource'] || rateLimitResource(endpoint));
+  state.limit = Number(headers['x-ratelimit-limit']);
+  state.remaining = Number(headers['x-ratelimit-remaining']);
+  state.resetAt = Number(headers['x-ratelimit-reset']) * 1000;
+}
+
+// Wait for this request's turn when the budget is low, or fail fast if the wait would be too long
+async function acquireRateLimitSlot(token, endpoint) {
+  const state = rateLimitState(token, rateLimitResource(endpoint));
+  const now = Date.now();
+  if (state.remaining === undefined || state.resetAt <= now) return;
+  if (state.remaining > Math.max(5, state.limit * RATE_LIMIT_LOW_WATER_RATIO)) return;
+  
+  let start;
+  let interval;
+  if (state.remaining <= 0) {
+    start = Math.max(state.resetAt, state.nextSlotAt);
+    interval = 0;
+  } else {
+    start = Math.max(now, state.nextSlotAt);
+    interval = (state.resetAt - now) / state.remaining;
+    state.remaining -= 1;
+  }
+  
+  if (start - now > RATE_LIMIT_MAX_WAIT) {
+    throw rateLimitError(start);
+  }
+  state.nextSlotAt = start + interval;
+  await sleep(start - now);
+}
+
+// How long to wait before retrying a rate limited response, or null if it wasn't rate limited
+function rateLimitRetryDelay(response, attempt) {
+  const { status, headers = {}, data } = response;
+  const retryAfter = headers['retry-after'];
+  const exhausted = headers['x-ratelimit-remaining'] === '0';
+  const secondary = /secondary rate limit/i.test(data?.message || '');
+  if (status !== 429 && !(status === 403 && (retryAfter || exhausted || secondary))) return null;
+  
+  if (retryAfter) return Number(retryAfter) * 1000;
+  if (exhausted && headers['x-ratelimit-reset']) {
+    return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now());
+  }
+  // Full jitter keeps concurrent sessions from retrying in lockstep
+  return RATE_LIMIT_BASE_BACKOFF * 2 ** attempt * (0.5 + Math.random() / 2);
+}
+
+// Conditional-request cache
+// GET responses that carry an ETag or Last-Modified are kept per token and revalidated with
+// If-None-Match / If-Modified-Since. GitHub answers unchanged resources with a 304, which
+// doesn't count against the rate limit. Least recently used entries are evicted first.
+const GITHUB_CACHE_MAX_ENTRIES = parseInt(process.env.GITHUB_CACHE_MAX_ENTRIES || '500', 10);
+const GITHUB_CACHE_MAX_BYTES = parseInt(process.env.GITHUB_CACHE_MAX_BYTES || String(50 * 1024 * 1024), 10);
+const CACHED_RESPONSE_HEADERS = ['etag', 'last-modified', 'link', 'content-type'];
+const responseCache = new Map(); // `${tokenHash}:${endpoint}` -> { etag, lastModified, data, headers, repo, size }
+const responseCacheStats = { hits: 0, misses: 0, evictions: 0, invalidations: 0, bytes: 0 };
+
+// "owner/repo" for endpoints under repos/{owner}/{repo}, used for write invalidation
+function endpointRepository(endpoint) {
+  const match = endpoint.match(/^repos\/([^/?]+)\/([^/?]+)/);
+  return match ? `${match[1]}/${match[2]}`.toLowerCase() : null;
+}
+
+function deleteCachedResponse(key) {
+  const entry = responseCache.get(key);
+  if (!entry) return;
+  responseCache.delete(key);
+  responseCacheStats.bytes -= entry.size;
+}
+
+function storeCachedResponse(key, endpoint, response) {
+  const etag = response.headers.etag;
+  const lastModified = response.headers['last-modified'];
+  if (!etag && !lastModified) return;
+  
+  const size = Buffer.byteLength(JSON.stringify(response.data) ?? '');
+  if (size > GITHUB_CACHE_MAX_BYTES / 10) return;
+  
+  const headers = {};
+  for (const name of CACHED_RESPONSE_HEADERS) {
+    if (response.headers[name] !== undefined) headers[name] = response.headers[name];
+  }
+  
+  deleteCachedResponse(key);
+  responseCache.set(key, { etag, lastModified, data: response.data, headers, repo: endpointRepository(endpoint), size });
+  responseCacheStats.bytes += size;
+  
+  // Maps iterate in insertion order, so the first key is the least recently used
+  while (responseCache.size > GITHUB_CACHE_MAX_ENTRIES || responseCacheStats.bytes > GITHUB_CACHE_MAX_BYTES) {
+    deleteCachedResponse(responseCache.keys().next().value);
+    responseCacheStats.evictions++;
+  }
+}
+
+// Serve a 304 from the cache, moving the entry to the most recently used position
+function cachedResponse(key, entry, response) {
+  responseCache.delete(key);
+  responseCache.set(key, entry);
+  responseCacheStats.hits++;
+  return { ...response, status: 200, headers: { ...entry.headers, ...response.headers }, data: structuredClone(entry.data) };
+}
+
+// Drop every token's cached responses for a repository after a write to it
+function invalidateRepositoryCache(endpoint) {
+  const repo = endpointRepository(endpoint);
+  if (!repo) return;
+  for (const [key, entry] of responseCache.entries()) {
+    if (entry.repo === repo) {
+      deleteCachedResponse(key);
+      responseCacheStats.invalidations++;
+    }
+  }
+}
+
+// Helper functions to call GitHub API
+// token is a user token, or a GitHub App installation credential ({ installationId, repository }).
+// requestGitHub resolves to the full axios response, for callers that need headers such as Link.
+// options.accept requests another media type, e.g. application/vnd.github.diff, and
+// options.responseType / options.maxContentLength download binary archives.
+async function requestGitHub(token, endpoint, method = 'GET', data = null, options = {}) {
+  if (typeof token !== 'string') {
+    try {
+      return await requestGitHub(await getInstallationToken(token), endpoint, method, data, options);
+    } catch (error) {
+      // The installation token may have been revoked early; mint a new one and retry once
+      if (error.response?.status !== 401) throw error;
+      invalidateInstallationToken(token);
+      return requestGitHub(await getInstallationToken(token), endpoint, method, data, options);
+    }
+  }
+  
+  const accept = options.accept || 'application/vnd.github+json';
   const config = {
     method,
-    url: `https://api.github.com/${endpoint}`,
+    url: `${GITHUB_API_BASE}${endpoint}`,
     headers: {
       'Authorization': `Bearer ${token}`,
-      'Accept': 'application/vnd.github+json',
+      'Accept': accept,
       'User-Agent': 'GitHub-MCP-Server'
     }
   };
@@ -417,7 +5453,50 @@ async function callGitHubAPI(token, endpoint, method = 'GET', data = null) {
     config.data = data;
   }
   
-  const response = await axios(config);
+  // Archive downloads (logs, artifacts) are binary and can be large, so they bypass the cache
+  if (options.responseType) {
+    config.responseType = options.responseType;
+    config.maxContentLength = options.maxContentLength;
+  }
+  
+  const cacheKey = method === 'GET' && !options.responseType ? `${hashToken(token)}:${accept}:${endpoint}` : null;
+  const cached = cacheKey && responseCache.get(cacheKey);
+  if (cached) {
+    if (cached.etag) config.headers['If-None-Match'] = cached.etag;
+    if (cached.lastModified) config.headers['If-Modified-Since'] = cached.lastModified;
+    config.validateStatus = status => (status >= 200 && status < 300) || status === 304;
+  }
+  
+  for (let attempt = 0; ; attempt++) {
+    await acquireRateLimitSlot(token, endpoint);
+    try {
+      const response = await axios(config);
+      recordRateLimit(token, endpoint, response.headers);
+      
+      if (cacheKey) {
+        if (response.status === 304) return cachedResponse(cacheKey, cached, response);
+        responseCacheStats.misses++;
+        storeCachedResponse(cacheKey, endpoint, response);
+      } else if (method !== 'GET') {
+        invalidateRepositoryCache(endpoint);
+      }
+      return response;
+    } catch (error) {
+      if (!error.response) throw error;
+      recordRateLimit(token, endpoint, error.response.headers);
+      
+      const delay = rateLimitRetryDelay(error.response, attempt);
+      if (delay === null) throw error;
+      if (attempt >= RATE_LIMIT_MAX_RETRIES || delay > RATE_LIMIT_MAX_WAIT) {
+        throw rateLimitError(Date.now() + delay, error.response.data?.message);
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+async function callGitHubAPI(token, endpoint, method = 'GET', data = null, options = {}) {
+  const response = await requestGitHub(token, endpoint, method, data, options);
   return response.data;
 }
 
@@ -427,6 +5506,12 @@ app.get('/health', (req, res) => {
     status: 'healthy', 
     timestamp: new Date().toISOString(),
     github_client_id: GITHUB_CLIENT_ID ? 'configured' : 'missing',
+    auth_mode: GITHUB_AUTH_MODE,
+    github_app: GITHUB_AUTH_MODE !== 'github-app'
+      ? 'disabled'
+      : (GITHUB_APP_ID && GITHUB_APP_PRIVATE_KEY ? 'configured' : 'missing'),
+    github_cache: { entries: responseCache.size, ...responseCacheStats },
+    webhooks: GITHUB_WEBHOOK_SECRET ? { events: webhookEvents.length } : 'disabled',
   });
 });
 
@@ -438,10 +5523,120 @@ setInterval(() => {
       sessions.delete(state);
     }
   }
-}, 10 * 60 * 1000);
+  
+  for (const [sessionId, session] of userSessions.entries()) {
+    if (now - session.lastSeen > SESSION_TTL) {
+      userSessions.delete(sessionId);
+    }
+  }
+  
+  for (const [flowId, flow] of deviceFlows.entries()) {
+    if (now > flow.expiresAt) {
+      deviceFlows.delete(flowId);
+    }
+  }
+  
+  for (const [requestId, pending] of oauthPendingAuthorizations.entries()) {
+    if (now - pending.timestamp > OAUTH_STATE_TTL) {
+      oauthPendingAuthorizations.delete(requestId);
+    }
+  }
+  
+  for (const [codeHash, grant] of oauthCodes.entries()) {
+    if (now - grant.timestamp > OAUTH_CODE_TTL) {
+      oauthCodes.delete(codeHash);
+    }
+  }
+  
+  for (const [clientId, client] of oauthClients.entries()) {
+    if (!client.authorizedAt && now - client.client_id_issued_at * 1000 > OAUTH_UNUSED_CLIENT_TTL) {
+      oauthClients.delete(clientId);
+    }
+  }
+  
+  let apiKeysExpired = false;
+  for (const [keyHash, record] of apiKeys.entries()) {
+    if (isApiKeyExpired(record)) {
+      apiKeys.delete(keyHash);
+      apiKeysExpired = true;
+    }
+  }
+  // Also persists lastUsedAt timestamps, which are only updated in memory
+  if (apiKeys.size > 0 || apiKeysExpired) {
+    saveApiKeys();
+  }
+  
+  // Drop grants that no session, key or pending authorization code points at anymore
+  const grantsInUse = new Set(
+    [...userSessions.values(), ...apiKeys.values(), ...oauthCodes.values()].map(holder => holder.grantId)
+  );
+  for (const grantId of userGrants.keys()) {
+    if (!grantsInUse.has(grantId)) {
+      userGrants.delete(grantId);
+    }
+  }
+  
+  for (const [sessionId, session] of mcpSessions.entries()) {
+    if (now - session.lastSeen > MCP_SESSION_TTL) {
+      // Close a GET stream still attached to the session, or its socket stays open
+      session.stream?.end();
+      mcpSessions.delete(sessionId);
+    }
+  }
+  
+  for (const [sessionId, session] of sseSessions.entries()) {
+    if (session.res.destroyed || session.res.writableEnded) {
+      closeSseSession(sessionId);
+    }
+  }
+  
+  for (const [deliveryId, receivedAt] of webhookDeliveries.entries()) {
+    if (now - receivedAt > WEBHOOK_DELIVERY_TTL) {
+      webhookDeliveries.delete(deliveryId);
+    }
+  }
+  
+  for (const [key, state] of rateLimitStates.entries()) {
+    if (now > state.resetAt && now > state.nextSlotAt) {
+      rateLimitStates.delete(key);
+    }
+  }
+}, 10 * 60 * 1000).unref();
 
-app.listen(PORT, () => {
-  console.log(`GitHub OAuth2 Web UI server running on http://localhost:${PORT}`);
-  console.log(`GitHub Client ID: ${GITHUB_CLIENT_ID ? 'configured' : 'NOT CONFIGURED'}`);
-  console.log(`Redirect URI: ${REDIRECT_URI}`);
-});
+// The tests import this module; only listen when it is run directly
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  app.listen(PORT, () => {
+    console.log(`GitHub OAuth2 Web UI server running on http://localhost:${PORT}`);
+    console.log(`GitHub Client ID: ${GITHUB_CLIENT_ID ? 'configured' : 'NOT CONFIGURED'}`);
+    console.log(`GitHub auth mode: ${GITHUB_AUTH_MODE}`);
+    console.log(`Redirect URI: ${REDIRECT_URI}`);
+    console.log(`MCP endpoint: http://localhost:${PORT}/mcp`);
+    console.log(`MCP legacy SSE endpoint: http://localhost:${PORT}/sse`);
+  });
+}
+
+// Exported for the tests in test/
+export {
+  app,
+  validateSchemaValue,
+  validateToolArguments,
+  TOOL_REGISTRY,
+  encodePageCursor,
+  decodePageCursor,
+  projectFields,
+  formatToolOutput,
+  planTreeChanges,
+  readZipEntries,
+  tailJobLog,
+  withRateLimitField,
+  GRAPHQL_RATE_LIMIT_ALIAS,
+  globPattern,
+  parseToolPolicy,
+  searchRepositories,
+  isRepositoryAllowed,
+  checkToolAllowed,
+  checkToolRepositories,
+  listToolDefinitions,
+  expandToolPath,
+  executeTool,
+};
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planTreeChanges } from '../server.js';
+
+// Stands in for createTreeReader: resolves paths against a fixed head tree
+function treeLookup(entries) {
+  return async filePath => entries[filePath] || null;
+}
+
+const head = treeLookup({
+  'README.md': { type: 'blob', mode: '100644', sha: 'readme-sha' },
+  'bin/run': { type: 'blob', mode: '100755', sha: 'run-sha' },
+  src: { type: 'tree', mode: '040000', sha: 'src-sha' },
+});
+
+async function rejects(operations, field, message) {
+  await assert.rejects(planTreeChanges(operations, head, 'main'), error => {
+    assert.equal(error.code, 'INVALID_ARGUMENTS');
+    assert.deepEqual(error.errors, [{ field, message }]);
+    return true;
+  });
+}
+
+test('plans create, update and delete entries, keeping existing file modes', async () => {
+  const operations = [
+    { action: 'create', path: '/docs/guide.md', content: 'hi' },
+    { action: 'update', path: 'bin/run', content: '#!/bin/sh' },
+    { action: 'delete', path: 'README.md' },
+  ];
+
+  const { planned, files } = await planTreeChanges(operations, head, 'main');
+  assert.deepEqual(planned, [
+    { operation: operations[0], path: 'docs/guide.md', mode: '100644' },
+    { operation: operations[1], path: 'bin/run', mode: '100755' },
+    { operation: operations[2], path: 'README.md', mode: '100644', sha: null },
+  ]);
+  assert.deepEqual(files, [
+    { action: 'create', path: 'docs/guide.md' },
+    { action: 'update', path: 'bin/run' },
+    { action: 'delete', path: 'README.md' },
+  ]);
+});
+
+test('a rename deletes the old path and reuses its blob unless new content is given', async () => {
+  const moved = { action: 'rename', from_path: 'bin/run', path: 'bin/start' };
+  const { planned, files } = await planTreeChanges([moved], head, 'main');
+  assert.deepEqual(planned, [
+    { operation: moved, path: 'bin/run', mode: '100755', sha: null },
+    { operation: moved, path: 'bin/start', mode: '100755', sha: 'run-sha' },
+  ]);
+  assert.deepEqual(files, [{ action: 'rename', path: 'bin/start', from_path: 'bin/run' }]);
+
+  const rewritten = { ...moved, content: 'new' };
+  const { planned: rewrittenPlan } = await planTreeChanges([rewritten], head, 'main');
+  assert.equal(rewrittenPlan[1].sha, undefined);
+});
+
+test('rejects operations that do not fit the head tree', async () => {
+  await rejects([{ action: 'create', path: 'README.md', content: 'x' }], 'operations[0].path', 'already exists');
+  await rejects([{ action: 'update', path: 'missing.txt', content: 'x' }], 'operations[0].path', 'does not exist');
+  // Directories are not files that can be updated or deleted
+  await rejects([{ action: 'delete', path: 'src' }], 'operations[0].path', 'does not exist');
+  await rejects([{ action: 'rename', from_path: 'README.md', path: 'bin/run' }], 'operations[0].path', 'already exists');
+});
+
+test('rejects invalid paths, missing content, missing rename sources and paths changed twice', async () => {
+  await rejects([{ action: 'delete', path: 'docs/../README.md' }], 'operations[0].path', 'is not a valid file path');
+  await rejects([{ action: 'update', path: 'README.md' }], 'operations[0].content', 'is required for update');
+  await rejects([{ action: 'rename', path: 'NEW.md' }], 'operations[0].from_path', 'is required for rename');
+  await rejects([
+    { action: 'update', path: 'README.md', content: 'x' },
+    { action: 'rename', from_path: 'README.md', path: 'README.txt' },
+  ], 'operations[1].from_path', 'is changed by more than one operation');
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRateLimitField, executeTool, GRAPHQL_RATE_LIMIT_ALIAS } from '../server.js';
+
+const FIELD = ` ${GRAPHQL_RATE_LIMIT_ALIAS}: rateLimit { cost remaining limit resetAt }`;
+
+test('adds the rateLimit field to the top of a lone query', () => {
+  assert.equal(withRateLimitField('{ viewer { login } }'), `{${FIELD} viewer { login } }`);
+  assert.equal(
+    withRateLimitField('query Repo($owner: String!) { repository(owner: $owner, name: "x") { id } }'),
+    `query Repo($owner: String!) {${FIELD} repository(owner: $owner, name: "x") { id } }`,
+  );
+});
+
+test('ignores braces inside strings, comments and argument lists', () => {
+  const query = [
+    '# { not a selection set',
+    'query Search($q: String = "is:open {") {',
+    '  search(query: """ } """, type: ISSUE, first: 1) { issueCount }',
+    '}',
+  ].join('\n');
+  const brace = query.indexOf(') {') + 2;
+  assert.equal(withRateLimitField(query), `${query.slice(0, brace + 1)}${FIELD}${query.slice(brace + 1)}`);
+});
+
+test('fragments do not count as operations', () => {
+  const query = 'fragment Who on User { login } query { viewer { ...Who } }';
+  const brace = query.indexOf('query {') + 6;
+  assert.equal(withRateLimitField(query), `${query.slice(0, brace + 1)}${FIELD}${query.slice(brace + 1)}`);
+});
+
+test('leaves mutations, multi-operation documents and rateLimit queries alone', () => {
+  for (const query of [
+    'mutation { addStar(input: { starrableId: "x" }) { clientMutationId } }',
+    'query A { viewer { login } } query B { viewer { id } }',
+    'query { rateLimit { remaining } viewer { login } }',
+  ]) {
+    assert.equal(withRateLimitField(query), query);
+  }
+});
+
+test('commas before the operation keyword do not hide a mutation', () => {
+  const query = ',mutation { addComment(input: { subjectId: "x", body: "hi" }) { clientMutationId } }';
+  assert.equal(withRateLimitField(query), query);
+});
+
+// Each of these is refused before any request is made, so no GitHub token is needed
+const runQuery = query => executeTool('unused-token', 'graphql_query', { query });
+
+test('graphql_query refuses mutations and subscriptions however they are written', async () => {
+  for (const query of [
+    'mutation { addStar(input: { starrableId: "x" }) { clientMutationId } }',
+    ',mutation { addStar(input: { starrableId: "x" }) { clientMutationId } }',
+    '# a comment ended by a carriage return\rmutation { addStar(input: { starrableId: "x" }) { clientMutationId } }',
+    'query { a(x: """ \\""" """) { id } } mutation { b(y: """ """) { id } }',
+    'query { viewer { login } } subscription { x }',
+  ]) {
+    await assert.rejects(runQuery(query), { code: 'INVALID_ARGUMENTS', message: /only runs queries/ }, query);
+  }
+});
+
+test('graphql_query refuses definitions it cannot classify and malformed documents', async () => {
+  await assert.rejects(runQuery('Mutation { addStar(input: {}) { clientMutationId } }'), { message: /only runs queries/ });
+  for (const query of [
+    'query { viewer { login } } } mutation { addStar(input: {}) { clientMutationId } }',
+    'query { viewer { login } } mutation',
+    'query { viewer { login }',
+  ]) {
+    await assert.rejects(runQuery(query), { code: 'INVALID_ARGUMENTS', message: /not a well-formed GraphQL document/ }, query);
+  }
+});
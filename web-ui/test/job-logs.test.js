@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { tailJobLog } from '../server.js';
+
+const steps = [
+  { number: 1, name: 'Set up job', conclusion: 'success', started_at: '2024-05-01T10:00:00Z', completed_at: '2024-05-01T10:00:01Z' },
+  { number: 2, name: 'Run tests', conclusion: 'failure', started_at: '2024-05-01T10:00:02Z', completed_at: '2024-05-01T10:00:04Z' },
+  // Started in the second the failing step ended
+  { number: 3, name: 'Post checkout', conclusion: 'success', started_at: '2024-05-01T10:00:04Z', completed_at: '2024-05-01T10:00:05Z' },
+  { number: 4, name: 'Upload', conclusion: 'skipped', started_at: null, completed_at: null },
+];
+
+// Chunks split mid-line, as they come off the network
+function logStream(text) {
+  return Readable.from(text.match(/[\s\S]{1,7}/g));
+}
+
+test('keeps the tail of each selected step and of the whole job', async () => {
+  const log = [
+    '\uFEFF2024-05-01T10:00:00.1000000Z Current runner version: 2.316.0',
+    '2024-05-01T10:00:02.0000000Z ##[group]Run npm test',
+    '2024-05-01T10:00:03.5000000Z not ok 1 - login',
+    '  continued without a timestamp',
+    '2024-05-01T10:00:04.2000000Z ##[error]Process completed with exit code 1.',
+    '2024-05-01T10:00:04.9000000Z Post job cleanup.',
+    '2024-05-01T10:00:05.1000000Z Cleaning up orphan processes',
+    '',
+    '',
+  ].join('\r\n');
+
+  const { job, steps: tails } = await tailJobLog(logStream(log), steps, [steps[1], steps[2]], 3);
+  // Lines in a second two steps share go to the earlier one, which keeps a failure's last lines
+  assert.deepEqual(tails.get(2).result(), {
+    log: '  continued without a timestamp\n##[error]Process completed with exit code 1.\nPost job cleanup.',
+    omitted_lines: 2,
+  });
+  assert.deepEqual(tails.get(3).result(), { log: 'Cleaning up orphan processes' });
+  assert.deepEqual(job.result(), {
+    log: '##[error]Process completed with exit code 1.\nPost job cleanup.\nCleaning up orphan processes',
+    omitted_lines: 4,
+  });
+});
+
+test('keeps blank lines inside the log but not at its end', async () => {
+  const log = '2024-05-01T10:00:00.0000000Z one\n\n2024-05-01T10:00:00.5000000Z two\n\n\n';
+  const { job, steps: tails } = await tailJobLog(logStream(log), steps, [], 10);
+  assert.deepEqual(job.result(), { log: 'one\n\ntwo' });
+  assert.equal(tails.size, 0);
+});
+
+test('keeps only the limit however long the log is', async () => {
+  const lines = Array.from({ length: 5000 }, (_, i) => `2024-05-01T10:00:03.0000000Z line ${i}`);
+  const { steps: tails } = await tailJobLog(logStream(lines.join('\n')), steps, [steps[1]], 2);
+  assert.deepEqual(tails.get(2).result(), { log: 'line 4998\nline 4999', omitted_lines: 4998 });
+});
@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { app } from '../server.js';
+
+const REDIRECT_URI = 'http://localhost:8080/callback';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server?.close();
+});
+
+async function register(metadata) {
+  const response = await fetch(`${baseUrl}/oauth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ redirect_uris: [REDIRECT_URI], token_endpoint_auth_method: 'none', ...metadata }),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// The authorization endpoint checks the client before anything else
+async function isRegistered(clientId) {
+  const params = new URLSearchParams({
+    client_id: clientId,
+    redirect_uri: REDIRECT_URI,
+    response_type: 'code',
+    code_challenge: 'x'.repeat(43),
+    code_challenge_method: 'S256',
+  });
+  const response = await fetch(`${baseUrl}/oauth/authorize?${params}`, { redirect: 'manual' });
+  return !(response.status === 400 && /Unknown client_id/.test(await response.text()));
+}
+
+test('limits the redirect URIs a client can register', async () => {
+  const uris = Array.from({ length: 11 }, (_, i) => `http://localhost:8080/callback${i}`);
+  assert.equal((await register({ redirect_uris: uris })).status, 400);
+  assert.equal((await register({ redirect_uris: [`https://example.com/${'x'.repeat(2048)}`] })).status, 400);
+  assert.equal((await register({ redirect_uris: uris.slice(0, 10) })).status, 201);
+});
+
+test('drops the oldest unused registrations once the cap is reached', async () => {
+  const { body: first } = await register();
+  const { body: second } = await register();
+  assert.ok(await isRegistered(first.client_id));
+
+  let latest;
+  for (let i = 0; i < 1000; i++) {
+    latest = (await register()).body;
+  }
+
+  assert.equal(await isRegistered(first.client_id), false);
+  assert.equal(await isRegistered(second.client_id), false);
+  assert.ok(await isRegistered(latest.client_id));
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { projectFields, formatToolOutput } from '../server.js';
+
+const tool = { name: 'list_things', compactFields: ['number', 'user.login'] };
+
+test('projectFields keeps dotted paths and maps over arrays', () => {
+  const issue = { number: 1, title: 'T', user: { login: 'al', id: 9 }, labels: [{ name: 'bug', color: 'f00' }] };
+  assert.deepEqual(projectFields(issue, ['number', 'user.login', 'labels.name', 'missing.field']), {
+    number: 1,
+    user: { login: 'al' },
+    labels: [{ name: 'bug' }],
+  });
+  // A bare field keeps the whole value even when nested paths under it are also listed
+  assert.deepEqual(projectFields(issue, ['user', 'user.id']), { user: { login: 'al', id: 9 } });
+});
+
+test('compact output projects list items and keeps the list summary', () => {
+  const result = { items: [{ number: 1, title: 'a', user: { login: 'x', id: 1 } }], next_cursor: 'c' };
+  const text = formatToolOutput(tool, { format: 'compact', max_bytes: 10000 }, result);
+  assert.deepEqual(JSON.parse(text), { items: [{ number: 1, user: { login: 'x' } }], next_cursor: 'c' });
+});
+
+test('fields override compactFields, and full output keeps everything', () => {
+  const result = { number: 1, title: 'a', user: { login: 'x' } };
+  assert.deepEqual(JSON.parse(formatToolOutput(tool, { format: 'compact', fields: ['title'], max_bytes: 10000 }, result)), { title: 'a' });
+  assert.deepEqual(JSON.parse(formatToolOutput(tool, { format: 'full', max_bytes: 10000 }, result)), result);
+});
+
+test('lists over the byte budget drop whole items and say how many are shown', () => {
+  const items = Array.from({ length: 50 }, (_, index) => ({ number: index, user: { login: 'x'.repeat(40) } }));
+  const text = formatToolOutput(tool, { format: 'compact', max_bytes: 1000 }, { items });
+
+  assert.ok(Buffer.byteLength(text) <= 1000);
+  const [json, note] = text.split('\n\n');
+  const shown = JSON.parse(json).items.length;
+  assert.ok(shown > 0 && shown < 50);
+  assert.match(note, new RegExp(`showing ${shown} of 50 items to stay within max_bytes=1000`));
+});
+
+test('single results over the budget are cut without splitting a UTF-8 character', () => {
+  const text = formatToolOutput(tool, { format: 'full', max_bytes: 500 }, { body: 'é'.repeat(1000) });
+  assert.ok(Buffer.byteLength(text) <= 500);
+  assert.ok(!text.includes('�'));
+  assert.match(text, /\[Output truncated at 500 bytes; the full result was \d+ bytes\. Use fields to select less data\.\]$/);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodePageCursor, decodePageCursor } from '../server.js';
+
+const rawCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function assertInvalidCursor(cursor, baseEndpoint) {
+  assert.throws(() => decodePageCursor(cursor, baseEndpoint), error => {
+    assert.equal(error.code, 'INVALID_ARGUMENTS');
+    assert.deepEqual(error.errors, [{ field: 'cursor', message: 'is not a valid continuation cursor' }]);
+    return true;
+  });
+}
+
+test('a cursor round-trips its endpoint and skip count', () => {
+  const cursor = encodePageCursor('repos/o/r/issues?state=open&per_page=100&page=3', 40);
+  assert.deepEqual(decodePageCursor(cursor, 'repos/o/r/issues?state=open'), {
+    endpoint: 'repos/o/r/issues?state=open&per_page=100&page=3',
+    skip: 40,
+  });
+});
+
+test('absolute API URLs from Link headers are reduced to endpoints', () => {
+  const cursor = encodePageCursor('https://api.github.com/user/repos?page=2', 0);
+  assert.deepEqual(decodePageCursor(cursor, 'user/repos'), { endpoint: 'user/repos?page=2', skip: 0 });
+});
+
+test('a cursor only continues the listing it came from', () => {
+  assertInvalidCursor(encodePageCursor('repos/other/secret/issues?page=2', 0), 'repos/o/r/issues');
+  assertInvalidCursor(encodePageCursor('https://evil.example/repos/o/r/issues?page=2', 0), 'repos/o/r/issues');
+});
+
+test('malformed cursors are rejected', () => {
+  assertInvalidCursor('not base64 json', 'user/repos');
+  assertInvalidCursor(rawCursor({ endpoint: 'user/repos?page=2' }), 'user/repos');
+  assertInvalidCursor(rawCursor({ endpoint: 'user/repos?page=2', skip: -1 }), 'user/repos');
+  assertInvalidCursor(rawCursor({ endpoint: 'user/repos?page=2', skip: 1.5 }), 'user/repos');
+  assertInvalidCursor(rawCursor({ endpoint: 42, skip: 0 }), 'user/repos');
+});
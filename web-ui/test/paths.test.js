@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandToolPath, executeTool, parseToolPolicy } from '../server.js';
+
+test('arguments are encoded so they cannot change the endpoint', () => {
+  assert.equal(expandToolPath('repos/{owner}/{repo}', { owner: 'octo', repo: '../x?y#z' }), 'repos/octo/..%2Fx%3Fy%23z');
+  assert.equal(
+    expandToolPath('repos/{owner}/{repo}/compare/{+base}...{+head}', { owner: 'octo', repo: 'app', base: 'release/1.0', head: 'feature/a?b#c' }),
+    'repos/octo/app/compare/release/1.0...feature/a%3Fb%23c',
+  );
+});
+
+test('reserved arguments reject . and .. segments', () => {
+  for (const base of ['../../../victim/secret/contents/x.txt?', 'release/./1.0', '..']) {
+    assert.throws(() => expandToolPath('repos/{owner}/{repo}/compare/{+base}...{+head}', { owner: 'octo', repo: 'app', base, head: 'main' }), error => {
+      assert.equal(error.code, 'INVALID_ARGUMENTS');
+      assert.deepEqual(error.errors, [{ field: 'base', message: 'must not contain . or .. segments' }]);
+      return true;
+    });
+  }
+});
+
+test('compare_commits refuses a base that walks out of the scoped repository', async () => {
+  const policies = [parseToolPolicy({ repositories: 'octo/app' })];
+  const args = { owner: 'octo', repo: 'app', base: '../../../victim/secret/contents/x.txt?', head: 'main' };
+  // Rejected before any request is made, so no GitHub token is needed
+  await assert.rejects(executeTool('unused-token', 'compare_commits', args, null, policies), { code: 'INVALID_ARGUMENTS' });
+});
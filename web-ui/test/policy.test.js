@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TOOL_REGISTRY,
+  globPattern,
+  parseToolPolicy,
+  searchRepositories,
+  isRepositoryAllowed,
+  checkToolAllowed,
+  checkToolRepositories,
+  listToolDefinitions,
+} from '../server.js';
+
+const tool = name => TOOL_REGISTRY.get(name);
+
+function assertDenied(fn, pattern) {
+  assert.throws(fn, error => {
+    assert.equal(error.code, 'POLICY_DENIED');
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+test('globs match case-insensitively and * stays within one path segment', () => {
+  assert.ok(globPattern('octo/*').test('Octo/App'));
+  assert.ok(globPattern('*/docs-*').test('octo/docs-site'));
+  assert.ok(!globPattern('octo/*').test('octo/app/extra'));
+  assert.ok(!globPattern('octo*').test('octo/app'));
+  // Other regex characters are taken literally
+  assert.ok(globPattern('octo/app.js').test('octo/app.js'));
+  assert.ok(!globPattern('octo/app.js').test('octo/appxjs'));
+});
+
+test('parses policies from lists or comma-separated strings', () => {
+  assert.equal(parseToolPolicy({}), null);
+  assert.equal(parseToolPolicy({ read_only: 'false', allowed_tools: '', repositories: ' , ' }), null);
+  assert.deepEqual(parseToolPolicy({ read_only: 'true', denied_tools: 'merge_pull_request, delete_*', repositories: ['octo/*'] }), {
+    readOnly: true,
+    allowedTools: null,
+    deniedTools: ['merge_pull_request', 'delete_*'],
+    repositories: ['octo/*'],
+  });
+});
+
+test('rejects unknown tools, malformed repository patterns and non-list values', () => {
+  assert.throws(() => parseToolPolicy({ allowed_tools: 'get_issue,no_such_tool' }), /Unknown tool in policy: no_such_tool/);
+  assert.throws(() => parseToolPolicy({ repositories: 'octo' }), /must be owner\/repo patterns/);
+  assert.throws(() => parseToolPolicy({ repositories: 'octo/app/extra' }), /must be owner\/repo patterns/);
+  assert.throws(() => parseToolPolicy({ denied_tools: [1] }), /denied_tools must be a list of names/);
+});
+
+test('read-only policies deny tools that make changes', () => {
+  const policies = [parseToolPolicy({ read_only: true })];
+  checkToolAllowed(policies, tool('get_issue'));
+  checkToolAllowed(policies, tool('search_code'));
+  assertDenied(() => checkToolAllowed(policies, tool('create_issue')), /create_issue makes changes/);
+});
+
+test('every policy has to allow a tool, and denials win over allow lists', () => {
+  const global = parseToolPolicy({ denied_tools: 'merge_*' });
+  const key = parseToolPolicy({ allowed_tools: 'get_*,merge_pull_request' });
+
+  checkToolAllowed([global, key], tool('get_issue'));
+  assertDenied(() => checkToolAllowed([global, key], tool('create_issue')), /create_issue is not one of the allowed tools/);
+  assertDenied(() => checkToolAllowed([global, key], tool('merge_pull_request')), /merge_pull_request is denied/);
+
+  const names = listToolDefinitions([global, key]).map(definition => definition.name);
+  assert.ok(names.includes('get_issue'));
+  assert.ok(!names.includes('create_issue'));
+  assert.ok(!names.includes('merge_pull_request'));
+});
+
+test('repository scopes limit the repositories a call touches', () => {
+  const policies = [parseToolPolicy({ repositories: 'octo/*' }), parseToolPolicy({ repositories: 'OCTO/app,other/*' })];
+  assert.ok(isRepositoryAllowed(policies, 'octo/app'));
+  assert.ok(!isRepositoryAllowed(policies, 'octo/site'));
+
+  checkToolRepositories(policies, tool('get_issue'), { owner: 'octo', repo: 'app', issue_number: 1 });
+  assertDenied(() => checkToolRepositories(policies, tool('get_issue'), { owner: 'octo', repo: 'site', issue_number: 1 }),
+    /octo\/site is not one of the allowed repositories/);
+
+  // Without a repository scope, anything goes
+  checkToolRepositories([parseToolPolicy({ read_only: true })], tool('search_code'), { query: 'token' });
+});
+
+test('scoped callers cannot reach past their repositories through search or any-repository tools', () => {
+  const policies = [parseToolPolicy({ repositories: 'octo/app' })];
+
+  assert.deepEqual(searchRepositories({ repo: 'octo/app', query: 'token' }), ['octo/app']);
+  assert.equal(searchRepositories({ repo: 'octo/app', query: 'token repo:other/secret' }), null);
+  assert.equal(searchRepositories({ repo: 'octo/app', org: 'other', query: 'token' }), null);
+
+  checkToolRepositories(policies, tool('search_code'), { repo: 'octo/app', query: 'token' });
+  assertDenied(() => checkToolRepositories(policies, tool('search_code'), { repo: 'octo/app', query: 'token org:other' }),
+    /search_code must be limited to a repository/);
+
+  assertDenied(() => checkToolAllowed(policies, tool('graphql_query')), /graphql_query can reach any repository/);
+  assert.ok(!listToolDefinitions(policies).some(definition => definition.name === 'graphql_query'));
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchemaValue, validateToolArguments, TOOL_REGISTRY } from '../server.js';
+
+function validate(schema, value) {
+  const errors = [];
+  const result = validateSchemaValue(schema, value, '', errors);
+  return { result, errors };
+}
+
+test('coerces the string forms that query strings and form inputs produce', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      count: { type: 'integer' },
+      draft: { type: 'boolean' },
+      labels: { type: 'array', items: { type: 'string' } },
+      title: { type: 'string' },
+    },
+  };
+
+  const { result, errors } = validate(schema, { count: '3', draft: 'false', labels: 'bug, docs,', title: 42 });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(result, { count: 3, draft: false, labels: ['bug', 'docs'], title: '42' });
+});
+
+test('fills in defaults and drops undeclared or empty properties', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      state: { type: 'string', default: 'open' },
+      per_page: { type: 'integer' },
+      body: { type: 'string' },
+    },
+  };
+
+  const { result, errors } = validate(schema, { per_page: '', body: '', extra: 'x' });
+  assert.deepEqual(errors, []);
+  // An empty string is a real value for strings, but counts as missing for other types
+  assert.deepEqual(result, { state: 'open', body: '' });
+});
+
+test('reports every problem with its field path', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      owner: { type: 'string', pattern: '^[\\w.-]+$' },
+      page: { type: 'integer', minimum: 1 },
+      method: { type: 'string', enum: ['merge', 'squash'] },
+      items: { type: 'array', items: { type: 'object', properties: { n: { type: 'number' } }, required: ['n'] } },
+    },
+    required: ['owner', 'title'],
+  };
+
+  const { errors } = validate(schema, { owner: 'a b', page: '1.5', method: 'rebase', items: [{ n: 'x' }, {}] });
+  assert.deepEqual(errors, [
+    { field: 'title', message: 'is required' },
+    { field: 'owner', message: 'must match ^[\\w.-]+$' },
+    { field: 'page', message: 'must be an integer' },
+    { field: 'method', message: 'must be one of: merge, squash' },
+    { field: 'items[0].n', message: 'must be a number' },
+    { field: 'items[1].n', message: 'is required' },
+  ]);
+});
+
+test('validates undeclared keys against an additionalProperties schema and rejects them when it is false', () => {
+  const map = { type: 'object', properties: {}, additionalProperties: { type: 'string' } };
+  assert.deepEqual(validate(map, { env: 'prod', debug: true }).result, { env: 'prod', debug: 'true' });
+  assert.deepEqual(validate(map, { nested: {} }).errors, [{ field: 'nested', message: 'must be a string' }]);
+
+  const closed = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false };
+  assert.deepEqual(validate(closed, { a: 'x', b: 'y' }).errors, [{ field: 'b', message: 'is not a recognized argument' }]);
+});
+
+test('validateToolArguments throws an INVALID_ARGUMENTS error listing the fields', () => {
+  const tool = TOOL_REGISTRY.get('get_issue');
+  assert.throws(() => validateToolArguments(tool, { owner: 'o', issue_number: 'abc' }), error => {
+    assert.equal(error.code, 'INVALID_ARGUMENTS');
+    assert.match(error.message, /^Invalid arguments for get_issue: /);
+    assert.deepEqual(error.errors.map(({ field }) => field), ['repo', 'issue_number']);
+    return true;
+  });
+
+  const args = validateToolArguments(tool, { owner: 'o', repo: 'r', issue_number: '7' });
+  assert.equal(args.issue_number, 7);
+});
+
+test('search date ranges only take a date or an ISO date-time', () => {
+  const tool = TOOL_REGISTRY.get('search_issues');
+  for (const value of ['2024-01-01', '2024-01-01T10:30', '2024-01-01T10:30:00Z', '2024-01-01T10:30:00.5+02:00']) {
+    assert.equal(validateToolArguments(tool, { repo: 'octo/app', created_after: value }).created_after, value);
+  }
+
+  // Anything after the date would end up in the search string as extra qualifiers
+  for (const value of ['2024-01-01 repo:victim/secret', '2024-01-01..*', '2024-01-01\n', '2024-1-1']) {
+    assert.throws(() => validateToolArguments(tool, { repo: 'octo/app', created_after: value }), error => {
+      assert.deepEqual(error.errors.map(({ field }) => field), ['created_after']);
+      return true;
+    }, JSON.stringify(value));
+  }
+});
@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const SECRET = 'test-webhook-secret';
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-mcp-webhooks-'));
+const eventsFile = path.join(dataDir, 'webhook-events.jsonl');
+
+let server;
+let baseUrl;
+let executeTool;
+
+before(async () => {
+  // The receiver reads its configuration when server.js is first imported
+  process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+  process.env.WEBHOOK_EVENTS_FILE = eventsFile;
+  const serverModule = await import('../server.js');
+  executeTool = serverModule.executeTool;
+
+  server = serverModule.app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server?.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function sign(body, secret = SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function deliver(body, headers) {
+  return fetch(`${baseUrl}/webhooks/github`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+  });
+}
+
+function recordedEvents() {
+  return fs.readFileSync(eventsFile, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+const body = JSON.stringify({
+  action: 'opened',
+  issue: { number: 7, title: 'Broken login' },
+  repository: { full_name: 'octo/app' },
+  sender: { login: 'octocat' },
+});
+
+test('records a signed delivery once and acknowledges redeliveries as duplicates', async () => {
+  const headers = { 'X-Hub-Signature-256': sign(body), 'X-GitHub-Delivery': 'delivery-1', 'X-GitHub-Event': 'issues' };
+
+  const first = await deliver(body, headers);
+  assert.equal(first.status, 200);
+  assert.deepEqual(await first.json(), { received: true });
+
+  const again = await deliver(body, headers);
+  assert.equal(again.status, 200);
+  assert.deepEqual(await again.json(), { received: true, duplicate: true });
+
+  const events = recordedEvents();
+  assert.equal(events.length, 1);
+  assert.equal(events[0].id, 'delivery-1');
+  assert.equal(events[0].event, 'issues');
+  assert.equal(events[0].repository, 'octo/app');
+  assert.equal(events[0].sender, 'octocat');
+});
+
+test('rejects deliveries whose signature does not match the body', async () => {
+  for (const signature of [undefined, sign(body, 'wrong-secret'), sign(`${body} `), 'sha1=abc']) {
+    const headers = { 'X-GitHub-Delivery': 'delivery-2', 'X-GitHub-Event': 'issues' };
+    if (signature) headers['X-Hub-Signature-256'] = signature;
+
+    const response = await deliver(body, headers);
+    assert.equal(response.status, 401);
+  }
+  assert.equal(recordedEvents().some(event => event.id === 'delivery-2'), false);
+});
+
+test('requires the delivery and event headers and a JSON object payload', async () => {
+  const missing = await deliver(body, { 'X-Hub-Signature-256': sign(body), 'X-GitHub-Event': 'issues' });
+  assert.equal(missing.status, 400);
+
+  const array = '[1, 2]';
+  const invalid = await deliver(array, { 'X-Hub-Signature-256': sign(array), 'X-GitHub-Delivery': 'delivery-3', 'X-GitHub-Event': 'issues' });
+  assert.equal(invalid.status, 400);
+});
+
+test('acknowledges pings without recording them', async () => {
+  const ping = JSON.stringify({ zen: 'Keep it logically awesome.' });
+  const response = await deliver(ping, { 'X-Hub-Signature-256': sign(ping), 'X-GitHub-Delivery': 'delivery-4', 'X-GitHub-Event': 'ping' });
+  assert.equal(response.status, 200);
+  assert.equal(recordedEvents().some(event => event.id === 'delivery-4'), false);
+});
+
+test('list_webhook_events refuses a since that is not a date', async () => {
+  for (const since of ['yesterday', '2024-01-01 or later', '2024-13-45']) {
+    await assert.rejects(executeTool('unused-token', 'list_webhook_events', { since }), error => {
+      assert.equal(error.code, 'INVALID_ARGUMENTS');
+      assert.deepEqual(error.errors.map(({ field }) => field), ['since']);
+      return true;
+    }, since);
+  }
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { readZipEntries } from '../server.js';
+
+// Builds a zip archive the way GitHub's log downloads are laid out: local headers and
+// data first, then the central directory and its end record
+function buildZip(files, { size } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, content, deflate } of files) {
+    const nameBuffer = Buffer.from(name);
+    const raw = Buffer.from(content ?? '');
+    const data = deflate ? zlib.deflateRawSync(raw) : raw;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size ?? raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+test('reads stored and deflated entries and skips directories', () => {
+  const log = 'line\n'.repeat(100);
+  const entries = readZipEntries(buildZip([
+    { name: 'build/' },
+    { name: 'build/1_Set up job.txt', content: 'hello' },
+    { name: '0_build.txt', content: log, deflate: true },
+  ]));
+
+  assert.deepEqual(entries.map(({ name, size }) => ({ name, size })), [
+    { name: 'build/1_Set up job.txt', size: 5 },
+    { name: '0_build.txt', size: log.length },
+  ]);
+  assert.equal(entries[0].read().toString(), 'hello');
+  assert.equal(entries[1].read().toString(), log);
+});
+
+test('rejects archives it cannot read', () => {
+  assert.throws(() => readZipEntries(Buffer.from('not a zip archive at all, just some bytes')), /end of central directory not found/);
+  assert.throws(() => readZipEntries(buildZip([{ name: 'big.txt', content: 'x' }], { size: 0xffffffff })), /ZIP64 archives are not supported/);
+
+  const archive = buildZip([{ name: 'a.txt', content: 'a' }]);
+  archive.writeUInt32LE(0, 0);
+  const [entry] = readZipEntries(archive);
+  assert.throws(() => entry.read(), /bad local header for a\.txt/);
+});